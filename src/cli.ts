@@ -0,0 +1,369 @@
+#!/usr/bin/env node
+import * as fs from "fs";
+import * as path from "path";
+import { buildLayoutsFromCss } from "./cssLayouts";
+import * as l10n from "./l10n";
+import {
+  LayoutsData,
+  loadLayouts,
+  mergeLayouts,
+  parseLayouts,
+} from "./layouts";
+import { LayoutProblem, validateLayouts } from "./validation";
+
+// bretzel-lint: the checks of the editor diagnostics on the command line, eg
+// in a pre-commit hook:
+//   bretzel-lint "src/**/*.{html,vue,twig}" --format json
+
+// same default as the bretzel.layoutsFile setting
+const DEFAULT_LAYOUTS_FILE = ".bretzel/layouts.json";
+// language of the files, from their extension (as VS Code would detect it)
+const LANGUAGES_BY_EXTENSION: Record<string, string> = {
+  ".html": "html",
+  ".htm": "html",
+  ".vue": "vue",
+  ".md": "markdown",
+  ".php": "php",
+  ".twig": "twig",
+  ".hbs": "handlebars",
+  ".handlebars": "handlebars",
+  ".mustache": "mustache",
+  ".ejs": "ejs",
+  ".pug": "pug",
+  ".liquid": "liquid",
+  ".jsx": "javascriptreact",
+  ".tsx": "typescriptreact",
+  ".ts": "typescript",
+};
+// directories never scanned
+const IGNORED_DIRECTORIES = ["node_modules", "vendor", ".git"];
+
+const USAGE = `Usage: bretzel-lint [options] <file|directory|glob>...
+
+Report the unknown layouts, invalid attribute values and misplaced
+layout-specific attributes of the Bretzel markup.
+
+Options:
+  --format <text|json>  output format (default: text)
+  --layouts <file>      project layouts file (default: ${DEFAULT_LAYOUTS_FILE})
+  --css <glob>          project Bretzel stylesheets (see bretzel.cssFiles)
+  --hints               also report the redundant defaults and deprecations
+  --lang <language>     language of the messages (default: from LANG)
+  -h, --help            show this help
+
+Exit code: 0 without problem, 1 when problems were found, 2 on usage error
+or when the layouts file, a stylesheet or a checked file can't be read.`;
+
+interface Options {
+  patterns: string[];
+  format: "text" | "json";
+  layoutsFile: string;
+  css?: string;
+  hints: boolean;
+  language: string;
+}
+
+interface FileProblem extends LayoutProblem {
+  file: string;
+  // 1-based position of the start and end of the problem
+  line: number;
+  column: number;
+  endLine: number;
+  endColumn: number;
+}
+
+class UsageError extends Error {}
+
+// a layouts file or a stylesheet which can't be read or parsed
+class ReadError extends Error {}
+
+function main(argv: string[]): number {
+  let options: Options;
+  try {
+    options = parseArguments(argv);
+  } catch (e) {
+    if (e instanceof UsageError) {
+      console.error(`bretzel-lint: ${e.message}\n\n${USAGE}`);
+      return 2;
+    }
+    throw e;
+  }
+  if (!options.patterns.length) {
+    console.log(USAGE);
+    return argv.includes("--help") || argv.includes("-h") ? 0 : 2;
+  }
+
+  setLanguage(options.language);
+  let data: LayoutsData;
+  try {
+    data = loadProjectLayouts(options);
+  } catch (e) {
+    if (e instanceof ReadError) {
+      console.error(`bretzel-lint: ${e.message}`);
+      return 2;
+    }
+    throw e;
+  }
+  const files = [...new Set(options.patterns.flatMap(expandPattern))].sort();
+  if (!files.length) {
+    console.error(
+      `bretzel-lint: no file matches ${options.patterns.join(", ")}.`
+    );
+    return 2;
+  }
+
+  const problems: FileProblem[] = [];
+  // files which can't be read are reported, the others are still checked
+  let unreadable = 0;
+  for (const file of files) {
+    const languageId =
+      LANGUAGES_BY_EXTENSION[path.extname(file).toLowerCase()] || "html";
+    let text: string;
+    try {
+      text = readProjectFile(file, (content) => content);
+    } catch (e) {
+      if (!(e instanceof ReadError)) throw e;
+      console.error(`bretzel-lint: ${e.message}`);
+      unreadable++;
+      continue;
+    }
+    for (const problem of validateLayouts(
+      text,
+      file.endsWith(".blade.php") ? "blade" : languageId,
+      data.layouts,
+      data.rootGlobalAttributes
+    )) {
+      if (problem.severity === "hint" && !options.hints) continue;
+      problems.push(locate(file, text, problem));
+    }
+  }
+
+  if (options.format === "json") {
+    console.log(JSON.stringify(problems, null, 2));
+  } else {
+    for (const p of problems) {
+      console.log(
+        `${p.file}:${p.line}:${p.column}: ${p.severity} ${p.message} (${p.code})`
+      );
+    }
+    const warnings = problems.filter((p) => p.severity === "warning").length;
+    if (problems.length) {
+      console.log(
+        `\n${problems.length} problem(s) (${warnings} warning(s)) in ${files.length} file(s).`
+      );
+    }
+  }
+  if (unreadable) return 2;
+  return problems.some((p) => p.severity === "warning") ? 1 : 0;
+}
+
+function parseArguments(argv: string[]): Options {
+  const options: Options = {
+    patterns: [],
+    format: "text",
+    layoutsFile: DEFAULT_LAYOUTS_FILE,
+    hints: false,
+    language: (
+      process.env.LC_ALL ||
+      process.env.LC_MESSAGES ||
+      process.env.LANG ||
+      "en"
+    )
+      .split(/[._]/)[0]
+      .toLowerCase(),
+  };
+  const value = (i: number) => {
+    if (i >= argv.length || argv[i].startsWith("--")) {
+      throw new UsageError(`missing value for ${argv[i - 1]}.`);
+    }
+    return argv[i];
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case "--format": {
+        const format = value(++i);
+        if (format !== "text" && format !== "json") {
+          throw new UsageError(`unknown format "${format}".`);
+        }
+        options.format = format;
+        break;
+      }
+      case "--layouts":
+        options.layoutsFile = value(++i);
+        break;
+      case "--css":
+        options.css = value(++i);
+        break;
+      case "--hints":
+        options.hints = true;
+        break;
+      case "--lang":
+        options.language = value(++i).toLowerCase();
+        break;
+      case "-h":
+      case "--help":
+        options.patterns = [];
+        return options;
+      default:
+        if (arg.startsWith("-")) {
+          throw new UsageError(`unknown option ${arg}.`);
+        }
+        options.patterns.push(arg);
+    }
+  }
+  return options;
+}
+
+/**
+ * Translate the messages with the bundle of the extension (l10n/), French
+ * being used for the languages without bundle (see l10n.messagesLanguage).
+ */
+function setLanguage(language: string) {
+  const l10nPath = path.join(__dirname, "..", "l10n");
+  l10n.setTranslator(
+    l10n.bundleTranslator(l10nPath, l10n.messagesLanguage(language, l10nPath))
+  );
+}
+
+/**
+ * Bundled layouts merged with the project layouts file (if any), then
+ * rebuilt from the project stylesheets when --css is given.
+ */
+function loadProjectLayouts(options: Options): LayoutsData {
+  let data = loadLayouts(path.join(__dirname, ".."), options.language);
+  // the default file is optional, an explicit --layouts file is not
+  if (
+    fs.existsSync(options.layoutsFile) ||
+    options.layoutsFile !== DEFAULT_LAYOUTS_FILE
+  ) {
+    data = mergeLayouts(
+      data,
+      readProjectFile(options.layoutsFile, (text) =>
+        parseLayouts(text, options.language)
+      )
+    );
+  }
+  if (options.css) {
+    const stylesheets = expandPattern(options.css).map((file) =>
+      readProjectFile(file, (text) => text)
+    );
+    data =
+      (stylesheets.length && buildLayoutsFromCss(stylesheets, data)) || data;
+  }
+  return data;
+}
+
+/**
+ * Read and parse a project file, a failure of either being reported as a
+ * ReadError.
+ */
+function readProjectFile<T>(file: string, parse: (text: string) => T): T {
+  try {
+    return parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    throw new ReadError(
+      `unable to read ${file}: ${e instanceof Error ? e.message : String(e)}`
+    );
+  }
+}
+
+/**
+ * Files matching a command line argument: a file, a directory (every
+ * supported file in it) or a glob pattern (`*`, `**`, `?`, `{a,b}`).
+ */
+function expandPattern(pattern: string): string[] {
+  const normalized = pattern.split(path.sep).join("/");
+  if (!/[*?{]/.test(normalized)) {
+    if (!fs.existsSync(pattern)) return [];
+    if (!fs.statSync(pattern).isDirectory()) return [pattern];
+    return walk(pattern).filter(
+      (file) => path.extname(file).toLowerCase() in LANGUAGES_BY_EXTENSION
+    );
+  }
+  // walk from the directory preceding the first wildcard
+  const segments = normalized.split("/");
+  const firstGlob = segments.findIndex((s) => /[*?{]/.test(s));
+  const base = segments.slice(0, firstGlob).join("/") || ".";
+  if (!fs.existsSync(base)) return [];
+  const re = globToRegExp(normalized.replace(/^\.\//, ""));
+  return walk(base).filter((file) =>
+    re.test(file.split(path.sep).join("/").replace(/^\.\//, ""))
+  );
+}
+
+function walk(directory: string): string[] {
+  const files: string[] = [];
+  for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+    const file = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      if (!IGNORED_DIRECTORIES.includes(entry.name)) {
+        files.push(...walk(file));
+      }
+    } else if (entry.isFile()) {
+      files.push(file);
+    } else if (entry.isSymbolicLink()) {
+      // linked files are checked (a broken link is reported as unreadable),
+      // linked directories are not followed to avoid cycles
+      const target = fs.statSync(file, { throwIfNoEntry: false });
+      if (!target || target.isFile()) files.push(file);
+    }
+  }
+  return files;
+}
+
+function globToRegExp(glob: string): RegExp {
+  let re = "";
+  let braces = 0;
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === "*" && glob[i + 1] === "*") {
+      // "**/" matches any number of directories, including none
+      const slash = glob[i + 2] === "/";
+      re += slash ? "(?:.*/)?" : ".*";
+      i += slash ? 2 : 1;
+    } else if (c === "*") {
+      re += "[^/]*";
+    } else if (c === "?") {
+      re += "[^/]";
+    } else if (c === "{") {
+      braces++;
+      re += "(?:";
+    } else if (c === "}" && braces) {
+      braces--;
+      re += ")";
+    } else if (c === "," && braces) {
+      re += "|";
+    } else {
+      re += c.replace(/[.+^$()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${re}$`);
+}
+
+/**
+ * Add the file and the 1-based line and column of a problem.
+ */
+function locate(
+  file: string,
+  text: string,
+  problem: LayoutProblem
+): FileProblem {
+  const position = (offset: number) => {
+    const before = text.slice(0, offset);
+    const line = before.split("\n").length;
+    return { line, column: offset - before.lastIndexOf("\n") };
+  };
+  const start = position(problem.start);
+  const end = position(problem.end);
+  return {
+    file,
+    line: start.line,
+    column: start.column,
+    endLine: end.line,
+    endColumn: end.column,
+    ...problem,
+  };
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,379 @@
+import * as vscode from "vscode";
+import {
+  isDynamicValue,
+  MAX_TAG_LENGTH,
+  ScannedAttribute,
+  ScannedTag,
+  scanWindowTags,
+  TextWindow,
+} from "./context";
+import { findDeprecatedUsages } from "./deprecations";
+import * as l10n from "./l10n";
+import {
+  getLayoutAttributes,
+  LayoutEntry,
+  LayoutsData,
+  splitValues,
+} from "./layouts";
+import { registerOnEnabledLanguages } from "./settings";
+
+// maximum number of "Did you mean “…”?" suggestions for an unknown layout
+const MAX_SUGGESTIONS = 3;
+
+/**
+ * Register the code actions on the tags carrying a data-layout:
+ * - quick fixes of the diagnostics: closest layout names for an unknown
+ *   layout (edit distance), removal of an attribute restating the layout
+ *   default or unsupported by the layout, replacement of a deprecated
+ *   layout, attribute or value,
+ * - refactorings: "Change the layout to…" (swaps data-layout and removes
+ *   the attributes the new layout doesn't support) and "Add data-split"
+ *   for the layout-specific attributes missing on the tag.
+ * Only the tags around the range are scanned (see readTagWindow).
+ */
+export function registerCodeActions(
+  context: vscode.ExtensionContext,
+  data: LayoutsData
+) {
+  const provider: vscode.CodeActionProvider = {
+    provideCodeActions(document, range, codeActionContext) {
+      const window = readTagWindow(
+        document,
+        document.offsetAt(range.start),
+        document.offsetAt(range.end)
+      );
+      if (!window.text.includes("data-layout")) return undefined;
+      const tags = scanWindowTags(window, document.languageId);
+      const actions: vscode.CodeAction[] = [];
+
+      for (const diagnostic of codeActionContext.diagnostics) {
+        if (diagnostic.source !== "bretzel") continue;
+        const offset = document.offsetAt(diagnostic.range.start);
+        const attr = tags
+          .flatMap((t) => t.attributes)
+          .find(
+            (a) =>
+              (a.nameStart <= offset &&
+                offset < a.nameStart + a.rawName.length) ||
+              (a.valueStart !== undefined &&
+                a.value !== undefined &&
+                a.valueStart <= offset &&
+                offset <= a.valueStart + a.value.length)
+          );
+        if (!attr) continue;
+
+        if (diagnostic.code === "unknown-layout" && attr.value) {
+          const suggestions = suggestLayouts(attr.value.trim(), data.layouts);
+          suggestions.forEach((name, index) => {
+            const action = new vscode.CodeAction(
+              l10n.t("Did you mean “{0}”?", name),
+              vscode.CodeActionKind.QuickFix
+            );
+            action.edit = new vscode.WorkspaceEdit();
+            action.edit.replace(document.uri, diagnostic.range, name);
+            action.diagnostics = [diagnostic];
+            action.isPreferred = index === 0;
+            actions.push(action);
+          });
+        } else if (
+          diagnostic.code === "redundant-default" ||
+          diagnostic.code === "misplaced-attribute"
+        ) {
+          const action = new vscode.CodeAction(
+            diagnostic.code === "redundant-default"
+              ? l10n.t(
+                  "Remove {0} (default value)",
+                  document.getText(
+                    new vscode.Range(
+                      document.positionAt(attr.nameStart),
+                      document.positionAt(attr.end)
+                    )
+                  )
+                )
+              : l10n.t("Remove {0}", attr.name),
+            vscode.CodeActionKind.QuickFix
+          );
+          action.edit = new vscode.WorkspaceEdit();
+          action.edit.delete(
+            document.uri,
+            getRemovalRange(document, window, attr)
+          );
+          action.diagnostics = [diagnostic];
+          action.isPreferred = true;
+          actions.push(action);
+        } else if (diagnostic.code === "deprecated") {
+          const tag = tags.find((t) => t.attributes.includes(attr));
+          const deprecated = findDeprecatedUsages(
+            tag?.attributes || [],
+            data.layouts,
+            data.rootGlobalAttributes
+          ).find((d) => d.start === offset && d.replacement);
+          if (!deprecated?.replacement) continue;
+          const action = new vscode.CodeAction(
+            l10n.t("Replace with “{0}”", deprecated.replacement),
+            vscode.CodeActionKind.QuickFix
+          );
+          action.edit = new vscode.WorkspaceEdit();
+          action.edit.replace(
+            document.uri,
+            diagnostic.range,
+            deprecated.replacement
+          );
+          action.diagnostics = [diagnostic];
+          action.isPreferred = true;
+          actions.push(action);
+        }
+      }
+
+      // refactorings of the tag under the cursor
+      const offset = document.offsetAt(range.start);
+      const tag = tags.find((t) => t.start <= offset && offset < t.end);
+      const layoutAttr = tag && getStaticLayoutAttribute(tag);
+      if (!tag || !layoutAttr) return actions;
+
+      const change = new vscode.CodeAction(
+        l10n.t("Change the layout to…"),
+        vscode.CodeActionKind.RefactorRewrite
+      );
+      change.command = {
+        title: l10n.t("Change the layout to…"),
+        command: "bretzel.changeLayout",
+        arguments: [document.uri, layoutAttr.nameStart],
+      };
+      actions.push(change);
+
+      const layout = data.layouts.find(
+        (l) => l.name === layoutAttr.value?.trim()
+      );
+      if (layout && Array.isArray(layout.attributes)) {
+        const specific = layout.attributes.map((a) => a?.name);
+        for (const a of getLayoutAttributes(
+          layout,
+          data.rootGlobalAttributes
+        )) {
+          const values = splitValues(a.value);
+          if (
+            !specific.includes(a.name) ||
+            values.length < 2 ||
+            tag.attributes.some((t) => t.name === a.name)
+          ) {
+            continue;
+          }
+          const action = new vscode.CodeAction(
+            l10n.t("Add {0}", a.name),
+            vscode.CodeActionKind.RefactorRewrite
+          );
+          action.edit = new vscode.WorkspaceEdit();
+          action.edit.insert(
+            document.uri,
+            document.positionAt(layoutAttr.end),
+            ` ${a.name}="${a.default || values[0]}"`
+          );
+          actions.push(action);
+        }
+      }
+      return actions;
+    },
+  };
+  registerOnEnabledLanguages(context, (selector) =>
+    vscode.languages.registerCodeActionsProvider(selector, provider, {
+      providedCodeActionKinds: [
+        vscode.CodeActionKind.QuickFix,
+        vscode.CodeActionKind.RefactorRewrite,
+      ],
+    })
+  );
+
+  const command = vscode.commands.registerCommand(
+    "bretzel.changeLayout",
+    async (uri?: vscode.Uri, offset?: number) => {
+      const editor = vscode.window.activeTextEditor;
+      const document = uri
+        ? await vscode.workspace.openTextDocument(uri)
+        : editor?.document;
+      if (!document) return;
+      const at =
+        offset ??
+        (editor ? document.offsetAt(editor.selection.active) : undefined);
+      if (at === undefined) return;
+      const window = readTagWindow(document, at, at);
+      const tag = scanWindowTags(window, document.languageId).find(
+        (t) => t.start <= at && at < t.end
+      );
+      const layoutAttr = tag && getStaticLayoutAttribute(tag);
+      if (!tag || !layoutAttr) {
+        vscode.window.showInformationMessage(
+          l10n.t("Bretzel: place the cursor in a tag carrying a data-layout.")
+        );
+        return;
+      }
+      const currentName = layoutAttr.value?.trim();
+      const picked = await vscode.window.showQuickPick(
+        data.layouts
+          .filter((l) => l.name !== currentName)
+          .map((l) => ({
+            label: l.name,
+            description: l.label,
+            detail: l.usage,
+            layout: l,
+          })),
+        {
+          placeHolder: l10n.t(
+            "Replace the layout {0} with…",
+            currentName || ""
+          ),
+        }
+      );
+      if (!picked) return;
+      await vscode.workspace.applyEdit(
+        buildChangeLayoutEdit(document, window, tag, picked.layout, data)
+      );
+    }
+  );
+
+  context.subscriptions.push(command);
+}
+
+/**
+ * Text from MAX_TAG_LENGTH characters before `start` to MAX_TAG_LENGTH
+ * characters after `end`: the tags overlapping the range start and end
+ * within it, and scanning it instead of the whole document keeps the
+ * actions cheap on large files.
+ */
+function readTagWindow(
+  document: vscode.TextDocument,
+  start: number,
+  end: number
+): TextWindow {
+  const windowStart = Math.max(0, start - MAX_TAG_LENGTH);
+  return {
+    text: document.getText(
+      new vscode.Range(
+        document.positionAt(windowStart),
+        document.positionAt(end + MAX_TAG_LENGTH)
+      )
+    ),
+    start: windowStart,
+  };
+}
+
+/**
+ * The data-layout attribute of a tag when its value is static.
+ */
+function getStaticLayoutAttribute(
+  tag: ScannedTag
+): ScannedAttribute | undefined {
+  const attr = tag.attributes.find((a) => a.name === "data-layout");
+  if (
+    !attr ||
+    attr.value === undefined ||
+    attr.valueStart === undefined ||
+    attr.dynamic ||
+    isDynamicValue(attr.value)
+  ) {
+    return undefined;
+  }
+  return attr;
+}
+
+/**
+ * Swap the data-layout value of a tag and remove the Bretzel attributes the
+ * new layout doesn't support (eg data-split when a duo becomes a switcher).
+ */
+function buildChangeLayoutEdit(
+  document: vscode.TextDocument,
+  window: TextWindow,
+  tag: ScannedTag,
+  target: LayoutEntry,
+  data: LayoutsData
+): vscode.WorkspaceEdit {
+  const edit = new vscode.WorkspaceEdit();
+  const layoutAttr = getStaticLayoutAttribute(tag) as ScannedAttribute;
+  const valueStart = layoutAttr.valueStart as number;
+  edit.replace(
+    document.uri,
+    new vscode.Range(
+      document.positionAt(valueStart),
+      document.positionAt(valueStart + (layoutAttr.value as string).length)
+    ),
+    target.name
+  );
+  // attributes known by Bretzel, the others (class, id…) are kept
+  const bretzelAttributes = new Set([
+    ...(data.rootGlobalAttributes || []).map((a) => a.name),
+    ...data.layouts.flatMap((l) =>
+      getLayoutAttributes(l, data.rootGlobalAttributes).map((a) => a.name)
+    ),
+  ]);
+  const supported = getLayoutAttributes(target, data.rootGlobalAttributes).map(
+    (a) => a.name
+  );
+  for (const attr of tag.attributes) {
+    if (bretzelAttributes.has(attr.name) && !supported.includes(attr.name)) {
+      edit.delete(document.uri, getRemovalRange(document, window, attr));
+    }
+  }
+  return edit;
+}
+
+/**
+ * Range removing an attribute and the whitespace before it, or its whole
+ * line when the attribute is alone on its line. The offsets of `attr` are
+ * document offsets, `window` holds the text around it.
+ */
+function getRemovalRange(
+  document: vscode.TextDocument,
+  window: TextWindow,
+  attr: ScannedAttribute
+): vscode.Range {
+  const charAt = (offset: number) => window.text[offset - window.start];
+  const textEnd = window.start + window.text.length;
+  let start = attr.nameStart;
+  while (start > window.start && /[ \t]/.test(charAt(start - 1))) start--;
+  let end = attr.end;
+  if (start === 0 || charAt(start - 1) === "\n") {
+    while (end < textEnd && /[ \t]/.test(charAt(end))) end++;
+    if (charAt(end) === "\r") end++;
+    if (charAt(end) === "\n") {
+      end++;
+    } else {
+      // other attributes follow on the same line
+      start = attr.nameStart;
+    }
+  }
+  return new vscode.Range(document.positionAt(start), document.positionAt(end));
+}
+
+/**
+ * Closest layout names of a misspelled one (eg "autgrid" → "autogrid").
+ */
+function suggestLayouts(name: string, layouts: LayoutEntry[]): string[] {
+  const maxDistance = Math.max(2, Math.floor(name.length / 3));
+  return layouts
+    .map((l) => ({ name: l.name, distance: editDistance(name, l.name) }))
+    .filter((s) => s.distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, MAX_SUGGESTIONS)
+    .map((s) => s.name);
+}
+
+/**
+ * Levenshtein distance between two strings (case insensitive).
+ */
+function editDistance(a: string, b: string): number {
+  a = a.toLowerCase();
+  b = b.toLowerCase();
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
@@ -0,0 +1,335 @@
+import * as vscode from "vscode";
+import {
+  buildLayoutDocumentation,
+  buildValuesDocumentation,
+  sanitize,
+} from "./documentation";
+import * as l10n from "./l10n";
+import {
+  findAttributeDefinition,
+  findDeprecatedValue,
+  getEffectiveGlobals,
+  getLayoutAttributes,
+  GlobalAttribute,
+  isDeprecated,
+  LayoutEntry,
+  LayoutsData,
+  splitValues,
+} from "./layouts";
+import { getSettings, sortText } from "./settings";
+
+// Completion items of the layouts and of their attributes. Building the
+// summaries and the Markdown documentation of every layout on each keystroke
+// made large documents lag: the items are built once per layouts load (or
+// settings change) and only copied with the range of each request.
+export interface CompletionItemCache {
+  // `data-layout="…"` items, one per layout
+  layouts(range: vscode.Range): vscode.CompletionItem[];
+  // attribute names (data-gap, data-split…) supported by a layout, except
+  // the ones already written in the tag
+  attributeNames(
+    layout: LayoutEntry,
+    presentAttributes: string[],
+    range: vscode.Range
+  ): vscode.CompletionItem[];
+  // layout names proposed in data-layout="|"
+  layoutNames(range: vscode.Range): vscode.CompletionItem[];
+  // forget the items, they are built again on the next request
+  invalidate(): void;
+}
+
+/**
+ * Create the completion items cache of the layouts of `data` (reloaded in
+ * place: call `invalidate` after each reload).
+ */
+export function createCompletionItemCache(
+  data: LayoutsData
+): CompletionItemCache {
+  let layoutItems: vscode.CompletionItem[] | undefined;
+  let layoutNameItems: vscode.CompletionItem[] | undefined;
+  const attributeItems = new Map<string, vscode.CompletionItem[]>();
+
+  return {
+    layouts(range) {
+      layoutItems ??= data.layouts.map((l) =>
+        buildLayoutItem(l, data.rootGlobalAttributes)
+      );
+      return layoutItems.map((item) => withRange(item, range));
+    },
+    attributeNames(layout, presentAttributes, range) {
+      let items = attributeItems.get(layout.name);
+      if (!items) {
+        items = buildAttributeNameItems(layout, data.rootGlobalAttributes);
+        attributeItems.set(layout.name, items);
+      }
+      return items
+        .filter((item) => !presentAttributes.includes(item.filterText || ""))
+        .map((item) => withRange(item, range));
+    },
+    layoutNames(range) {
+      layoutNameItems ??= buildLayoutNameItems(data.layouts);
+      return layoutNameItems.map((item) => withRange(item, range));
+    },
+    invalidate() {
+      layoutItems = undefined;
+      layoutNameItems = undefined;
+      attributeItems.clear();
+    },
+  };
+}
+
+/**
+ * Build value completions for the attribute whose quoted value is being
+ * typed (other than data-layout, see CompletionItemCache.layoutNames): its
+ * enumerated values, the layout default being preselected. After a first
+ * value (`previousTokens`), only the modifiers not written yet are proposed
+ * (eg "reverse" in data-split="2-1 |").
+ */
+export function buildAttributeValueItems(
+  attributeName: string,
+  previousTokens: string[],
+  range: vscode.Range,
+  layouts: LayoutEntry[],
+  rootGlobalAttributes: GlobalAttribute[] | undefined,
+  activeLayout?: LayoutEntry
+): vscode.CompletionItem[] | undefined {
+  const definition = findAttributeDefinition(
+    attributeName,
+    layouts,
+    rootGlobalAttributes,
+    activeLayout
+  );
+  const modifiers = splitValues(definition?.modifiers);
+  const values = splitValues(definition?.value).filter(
+    (v) =>
+      !previousTokens.includes(v) &&
+      (modifiers.includes(v) ||
+        previousTokens.every((t) => modifiers.includes(t)))
+  );
+  if (!definition || values.length === 0) {
+    return undefined;
+  }
+  return values.map((v, index) => {
+    const isDefault = v === definition.default;
+    const item = new vscode.CompletionItem(
+      {
+        label: v,
+        description: isDefault ? l10n.t("default") : undefined,
+      },
+      vscode.CompletionItemKind.EnumMember
+    );
+    item.detail = definition.description
+      ? `${definition.name} — ${definition.description}`
+      : definition.name;
+    if (findDeprecatedValue(definition, v)) {
+      item.tags = [vscode.CompletionItemTag.Deprecated];
+    }
+    item.range = range;
+    item.preselect = isDefault && getSettings().sortPriority === "top";
+    // keep the order declared in layouts.json
+    item.sortText = sortText(String(index).padStart(2, "0"));
+    return item;
+  });
+}
+
+/**
+ * Copy of a cached item with the range of the current request (the cached
+ * items are shared by every request and never modified).
+ */
+function withRange(
+  item: vscode.CompletionItem,
+  range: vscode.Range
+): vscode.CompletionItem {
+  const copy = new vscode.CompletionItem(item.label, item.kind);
+  Object.assign(copy, item);
+  copy.range = range;
+  return copy;
+}
+
+/**
+ * Build the `data-layout="…"` completion item of a layout: specific
+ * attributes summary, label and Markdown documentation.
+ */
+function buildLayoutItem(
+  l: LayoutEntry,
+  rootGlobalAttributes: GlobalAttribute[] | undefined
+): vscode.CompletionItem {
+  // Prepare original short label used for filtering
+  const originalLabel = `data-layout="${l.name}"`;
+  // Keep the completion compact: use a short detail and avoid a large
+  // Markdown documentation block which increases the suggest widget height.
+  // Move longer descriptions to the detail field (single line).
+  // Build a single-line base detail: sanitize label and usage to remove
+  // newlines and excessive whitespace (some entries in layouts.json may
+  // contain multi-line descriptions). This prevents VS Code from
+  // rendering a large documentation panel for the selected suggestion.
+  // Keep the short detail concise: only the layout label (no usage).
+  // Showing the usage inside the `documentation` Markdown is sufficient
+  // and avoids duplicating the same text in the suggestion UI.
+  const rawBase = l.label;
+  let baseDetail = sanitize(rawBase);
+  const MAX_BASE_LEN = 120;
+  if (baseDetail.length > MAX_BASE_LEN) {
+    baseDetail = baseDetail.slice(0, MAX_BASE_LEN - 1) + "…";
+  }
+  // Build summaries for specific and global attributes. The column
+  // description should show only *specific* attributes; global
+  // attributes will be shown in the documentation under their own
+  // heading.
+  let specificsSummary = "";
+  if (Array.isArray(l.attributes) && l.attributes.length > 0) {
+    const parts: string[] = [];
+    for (const a of l.attributes) {
+      if (a && typeof a === "object") {
+        const name = (a as any).name || JSON.stringify(a);
+        const val = (a as any).value;
+        parts.push(val ? `${name}="${val}"` : `${name}`);
+      } else {
+        parts.push(String(a));
+      }
+    }
+    specificsSummary = parts.join("; ");
+  } else if (typeof l.attributes === "string" && l.attributes) {
+    specificsSummary = String(l.attributes);
+  }
+
+  // Build effective global attributes by merging root/global definitions
+  // with any per-layout overrides.
+  let globalsSummary = "";
+  const effectiveGlobalsMap = getEffectiveGlobals(l, rootGlobalAttributes);
+  // produce summary string from effective globals map
+  if (effectiveGlobalsMap.size > 0) {
+    const parts: string[] = [];
+    for (const [, a] of effectiveGlobalsMap) {
+      const name = a.name || JSON.stringify(a);
+      const val = a.value;
+      const def = a.valueDefault || a.default || a.defaultValue;
+      if (val) {
+        parts.push(
+          def
+            ? `${name}="${val}" ${l10n.t("(default: {0})", def)}`
+            : `${name}="${val}"`
+        );
+      } else {
+        parts.push(
+          def ? `${name} ${l10n.t("(default: {0})", def)}` : `${name}`
+        );
+      }
+    }
+    globalsSummary = parts.join("; ");
+  }
+
+  // Ensure the summaries are single-line and reasonably short.
+  specificsSummary = specificsSummary.replace(/\s+/g, " ").trim();
+  globalsSummary = globalsSummary.replace(/\s+/g, " ").trim();
+  const MAX_DETAIL_LEN = 100;
+  if (specificsSummary.length > MAX_DETAIL_LEN) {
+    specificsSummary = specificsSummary.slice(0, MAX_DETAIL_LEN - 1) + "…";
+  }
+  if (globalsSummary.length > MAX_DETAIL_LEN) {
+    globalsSummary = globalsSummary.slice(0, MAX_DETAIL_LEN - 1) + "…";
+  }
+
+  // Use the CompletionItemLabel form so the summary appears as a
+  // description next to the label in the main suggestion column.
+  // This keeps the information inline and reduces the chance that the
+  // editor will move it into a large documentation preview panel.
+  const visibleLabelObj: vscode.CompletionItemLabel = {
+    label: originalLabel,
+    description: specificsSummary || undefined,
+  };
+  const item = new vscode.CompletionItem(
+    visibleLabelObj,
+    vscode.CompletionItemKind.Property
+  );
+  // Keep detail concise (usage only).
+  item.detail = baseDetail;
+  // deprecated layouts are struck through
+  if (isDeprecated(l)) {
+    item.tags = [vscode.CompletionItemTag.Deprecated];
+  }
+
+  // Build a Markdown documentation block so the user can expand the
+  // completion item to see full details. We keep the content
+  // structured but reasonably short to avoid excessive size.
+  const { documentation } = getSettings();
+  if (documentation !== "none") {
+    item.documentation = new vscode.MarkdownString(
+      buildLayoutDocumentation(l, rootGlobalAttributes, documentation)
+    );
+  }
+  // Use a snippet so the user can tab through and change the layout value
+  // insertText should not contain backslashes
+  item.insertText = new vscode.SnippetString(
+    `data-layout="${"${1:" + l.name + "}"}"`
+  );
+  // help the filter algorithm: set filterText and a short label (no escapes)
+  item.filterText = originalLabel;
+  // put our suggestions first (unless the sort priority is "normal")
+  item.preselect = getSettings().sortPriority === "top";
+  item.sortText = sortText(l.name);
+  return item;
+}
+
+/**
+ * Build attribute name completions (data-gap, data-split…) for a layout:
+ * its specific attributes, then the global ones.
+ */
+function buildAttributeNameItems(
+  layout: LayoutEntry,
+  rootGlobalAttributes: GlobalAttribute[] | undefined
+): vscode.CompletionItem[] {
+  const attributes = getLayoutAttributes(layout, rootGlobalAttributes);
+  return attributes.map((a, index) => {
+    const values = splitValues(a.value);
+    const item = new vscode.CompletionItem(
+      { label: a.name, description: a.value || undefined },
+      vscode.CompletionItemKind.Property
+    );
+    item.detail = a.description
+      ? `${layout.label} — ${a.description}`
+      : layout.label;
+    if (isDeprecated(a)) {
+      item.tags = [vscode.CompletionItemTag.Deprecated];
+    }
+    if (values.length) {
+      if (getSettings().documentation === "full") {
+        item.documentation = new vscode.MarkdownString(
+          buildValuesDocumentation(a)
+        );
+      }
+      // reopen the suggest widget once inserted so the enumerated values are
+      // proposed right away
+      item.command = {
+        title: "Suggest",
+        command: "editor.action.triggerSuggest",
+      };
+    }
+    // insert the attribute with an empty value, cursor between the quotes
+    item.insertText = new vscode.SnippetString(`${a.name}="$1"`);
+    item.filterText = a.name;
+    // put attribute suggestions before the layout suggestions
+    item.sortText = sortText(String(index).padStart(2, "0"));
+    return item;
+  });
+}
+
+/**
+ * Build the layout names proposed in data-layout="|".
+ */
+function buildLayoutNameItems(layouts: LayoutEntry[]): vscode.CompletionItem[] {
+  return layouts.map((l, index) => {
+    const item = new vscode.CompletionItem(
+      { label: l.name, description: l.label },
+      vscode.CompletionItemKind.EnumMember
+    );
+    if (l.usage) {
+      item.detail = l.usage.replace(/\s+/g, " ").trim();
+    }
+    if (isDeprecated(l)) {
+      item.tags = [vscode.CompletionItemTag.Deprecated];
+    }
+    item.sortText = sortText(String(index).padStart(2, "0"));
+    return item;
+  });
+}
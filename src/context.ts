@@ -0,0 +1,481 @@
+// Language-aware detection of tags and attributes, shared by the completion
+// and the diagnostics. Handles the syntaxes of the languages of the document
+// selector:
+// - HTML-like tags whose attributes may contain '>' in quoted values, in
+//   JSX expressions (`data-layout={variant}`, `{...props}`), in template
+//   expressions (`{{ a > b }}`, `{% … %}`, `<?= … ?>`, `<% … %>`) or in
+//   Blade directives (`@if($a > 1)`),
+// - Vue / Alpine bindings (`:data-layout="isMobile ? 'stack' : 'duo'"`),
+// - Pug attribute lists (`div(data-layout="stack")`).
+
+// An attribute of a tag, with offsets in the scanned text
+export interface ScannedAttribute {
+  // attribute name, binding prefix removed (":data-layout" → "data-layout")
+  name: string;
+  // attribute name as written
+  rawName: string;
+  nameStart: number;
+  // offset right after the attribute (name or value)
+  end: number;
+  // static value: plain value, or single string literal of a binding
+  value?: string;
+  valueStart?: number;
+  // true when the value is computed (binding, JSX or template expression)
+  dynamic?: boolean;
+}
+
+// A tag of a document, with offsets in the scanned text
+export interface ScannedTag {
+  // offset of the tag ('<' or the Pug tag name)
+  start: number;
+  // offset right after the tag end ('>' or ')')
+  end: number;
+  attributes: ScannedAttribute[];
+}
+
+// What the cursor is on inside a tag
+export interface TagContext {
+  // attributes fully written before the cursor
+  attributes: ScannedAttribute[];
+  // offset of the attributes of the tag in the text (right after the tag
+  // name), to scan the whole tag with scanTag
+  attributesStart: number;
+  // "name": typing an attribute name, "value": typing a static value (plain
+  // value or string literal inside a binding), "other": anywhere else
+  kind: "name" | "value" | "other";
+  // attribute whose value is being typed (binding prefix removed)
+  attributeName?: string;
+  // partial attribute name, or partial value token, before the cursor (a
+  // value may combine several tokens, eg data-split="2-1 re": "re")
+  typed: string;
+  // value tokens written before the typed one (eg ["2-1"])
+  previousTokens?: string[];
+  // whole value (or string literal of an expression) before the cursor, eg
+  // "gap: 1rem; --col" in style="gap: 1rem; --col"
+  valueText?: string;
+  // true when the value is a string literal of an expression (binding, JSX
+  // or template expression)
+  inExpression?: boolean;
+}
+
+// Part of the context found by the attribute scanner
+type PendingContext = Omit<TagContext, "attributes" | "attributesStart">;
+
+// State of the attribute scanner when it reaches the end of the text
+interface ScanResult {
+  attributes: ScannedAttribute[];
+  // offset right after the tag end ('>' or ')'), -1 if not reached
+  end: number;
+  pending?: PendingContext;
+}
+
+// prefixes of attributes whose value is an expression
+const BINDING_PREFIX_RE = /^(?::|v-bind:|x-bind:)/;
+// maximum number of characters scanned backwards to find the current tag
+export const MAX_TAG_LENGTH = 5000;
+
+/**
+ * Detect the tag context at the end of `textBefore` (the document text up
+ * to the cursor, of which only the last MAX_TAG_LENGTH characters are
+ * needed). Returns undefined when the cursor is not inside a tag.
+ */
+export function detectTagContext(
+  textBefore: string,
+  languageId: string
+): TagContext | undefined {
+  const from = Math.max(0, textBefore.length - MAX_TAG_LENGTH);
+  const start =
+    languageId === "pug"
+      ? findPugAttributesStart(textBefore, from)
+      : findTagStart(textBefore, from);
+  if (start === -1) return undefined;
+  const result = scanAttributes(
+    textBefore,
+    start,
+    languageId === "pug" ? ")" : ">"
+  );
+  if (result.end !== -1 || !result.pending) return undefined;
+  return {
+    attributes: result.attributes,
+    attributesStart: start,
+    ...result.pending,
+  };
+}
+
+/**
+ * Scan every tag of a document and return their attributes.
+ */
+export function scanDocumentTags(
+  text: string,
+  languageId: string
+): ScannedTag[] {
+  const tags: ScannedTag[] = [];
+  const pug = languageId === "pug";
+  const openRe = pug
+    ? /(?:^|[\s:|])(?:[a-zA-Z][\w-]*(?:[.#][\w-]+)*|[.#][\w-]+(?:[.#][\w-]+)*)\(/gm
+    : /<[a-zA-Z][\w:.-]*/g;
+  let m: RegExpExecArray | null;
+  while ((m = openRe.exec(text))) {
+    const result = scanAttributes(text, openRe.lastIndex, pug ? ")" : ">");
+    if (result.end === -1) continue;
+    tags.push({
+      // Pug: skip the separator matched before the tag name
+      start: m.index + (/^[\s:|]/.test(m[0]) ? 1 : 0),
+      end: result.end,
+      attributes: result.attributes,
+    });
+    openRe.lastIndex = result.end;
+  }
+  return tags;
+}
+
+// Part of a document: `text` starts at the offset `start` of the document
+export interface TextWindow {
+  text: string;
+  start: number;
+}
+
+/**
+ * Scan the tags of a window of a document, eg the MAX_TAG_LENGTH characters
+ * around the cursor: the tags starting in the window are returned, with
+ * document offsets.
+ */
+export function scanWindowTags(
+  window: TextWindow,
+  languageId: string
+): ScannedTag[] {
+  const shift = (offset: number) => offset + window.start;
+  return scanDocumentTags(window.text, languageId).map((tag) => ({
+    start: shift(tag.start),
+    end: shift(tag.end),
+    attributes: tag.attributes.map((a) => ({
+      ...a,
+      nameStart: shift(a.nameStart),
+      end: shift(a.end),
+      ...(a.valueStart !== undefined && { valueStart: shift(a.valueStart) }),
+    })),
+  }));
+}
+
+/**
+ * Scan the tag whose attributes start at `start` (right after the tag name).
+ * `end` is the offset right after the tag end ('>' or ')'), or -1 when the
+ * tag is not closed.
+ */
+export function scanTag(
+  text: string,
+  start: number,
+  languageId: string
+): { attributes: ScannedAttribute[]; end: number } {
+  const { attributes, end } = scanAttributes(
+    text,
+    start,
+    languageId === "pug" ? ")" : ">"
+  );
+  return { attributes, end };
+}
+
+/**
+ * Values computed by a template engine or a framework binding can't be
+ * validated statically (eg "{{ layout }}", "{variant}", "<?= $x ?>").
+ */
+export function isDynamicValue(value: string): boolean {
+  return /[{}<>$%]/.test(value);
+}
+
+/**
+ * Find the start of the attributes of the nearest tag opened before the
+ * end of the text (right after `<name`), or -1.
+ */
+function findTagStart(text: string, from: number): number {
+  let open = text.lastIndexOf("<");
+  while (open >= from && open !== -1) {
+    const m = text.slice(open).match(/^<[a-zA-Z][\w:.-]*/);
+    if (m) return open + m[0].length;
+    open = text.lastIndexOf("<", open - 1);
+  }
+  return -1;
+}
+
+/**
+ * Find the start of the nearest Pug attribute list opened before the end of
+ * the text (right after `tag(`), or -1.
+ */
+function findPugAttributesStart(text: string, from: number): number {
+  let open = text.lastIndexOf("(");
+  while (open >= from && open !== -1) {
+    const before = text.slice(Math.max(from, open - 200), open);
+    if (
+      /(?:^|[\s:|])(?:[a-zA-Z][\w-]*(?:[.#][\w-]+)*|[.#][\w-]+(?:[.#][\w-]+)*)$/.test(
+        before
+      )
+    ) {
+      return open + 1;
+    }
+    open = text.lastIndexOf("(", open - 1);
+  }
+  return -1;
+}
+
+/**
+ * Scan the attributes of a tag from `start` (right after the tag name) up to
+ * the tag end `closing` or the end of the text.
+ */
+function scanAttributes(
+  text: string,
+  start: number,
+  closing: ">" | ")"
+): ScanResult {
+  const attributes: ScannedAttribute[] = [];
+  const other = (): ScanResult => ({
+    attributes,
+    end: -1,
+    pending: { kind: "other", typed: "" },
+  });
+  const betweenAttributes = (): ScanResult => ({
+    attributes,
+    end: -1,
+    pending: { kind: "name", typed: "" },
+  });
+  let i = start;
+  while (i < text.length) {
+    const c = text[i];
+    // separators (Pug also accepts commas between attributes)
+    if (/\s/.test(c) || (closing === ")" && c === ",")) {
+      i++;
+      continue;
+    }
+    if (c === closing) return { attributes, end: i + 1 };
+    if (closing === ">" && c === "/" && text[i + 1] === ">") {
+      return { attributes, end: i + 2 };
+    }
+    // template expressions and JSX spreads: {{ … }}, {% … %}, {...props}
+    if (c === "{") {
+      const end = skipBalanced(text, i);
+      if (end === -1) return other();
+      i = end;
+      continue;
+    }
+    // server-side code: <?= … ?>, <% … %>
+    if (c === "<" && (text[i + 1] === "?" || text[i + 1] === "%")) {
+      const end = text.indexOf(text[i + 1] + ">", i + 2);
+      if (end === -1) return other();
+      i = end + 2;
+      continue;
+    }
+    // stray quoted chunk (eg a template literal between attributes)
+    if (c === '"' || c === "'") {
+      const end = text.indexOf(c, i + 1);
+      if (end === -1) return other();
+      i = end + 1;
+      continue;
+    }
+    // Blade directive with arguments: @if($a > 1), @class([...])
+    const directive = text.slice(i).match(/^@[\w-]+\(/);
+    if (directive) {
+      const end = skipBalanced(text, i + directive[0].length - 1);
+      if (end === -1) return other();
+      i = end;
+      continue;
+    }
+
+    // attribute name
+    const nameStart = i;
+    while (i < text.length && /[^\s=>"'{}(),/]/.test(text[i])) i++;
+    if (i === nameStart) {
+      // unexpected character: skip it
+      i++;
+      continue;
+    }
+    const rawName = text.slice(nameStart, i);
+    const name = rawName.replace(BINDING_PREFIX_RE, "");
+    const bound = name !== rawName;
+    if (i >= text.length) {
+      return {
+        attributes,
+        end: -1,
+        pending: { kind: "name", typed: rawName },
+      };
+    }
+    const attr: ScannedAttribute = { name, rawName, nameStart, end: i };
+    attributes.push(attr);
+
+    // "=" and value
+    let j = i;
+    while (j < text.length && /\s/.test(text[j])) j++;
+    if (j >= text.length) return betweenAttributes();
+    if (text[j] !== "=") continue;
+    j++;
+    while (j < text.length && /\s/.test(text[j])) j++;
+    if (j >= text.length) return other();
+    const q = text[j];
+
+    if (q === '"' || q === "'") {
+      const end = text.indexOf(q, j + 1);
+      const raw = text.slice(j + 1, end === -1 ? text.length : end);
+      if (end === -1) {
+        // bindings hold expressions, other values are plain text which may
+        // embed template expressions ({{ … }})
+        attributes.pop();
+        return {
+          attributes,
+          end: -1,
+          pending: bound
+            ? pendingInExpression(name, raw)
+            : pendingInText(name, raw),
+        };
+      }
+      if (bound) {
+        setExpressionValue(attr, raw, j + 1);
+      } else if (/\{\{|\{%|#\{|<\?|<%/.test(raw)) {
+        attr.dynamic = true;
+      } else {
+        attr.value = raw;
+        attr.valueStart = j + 1;
+      }
+      i = attr.end = end + 1;
+      continue;
+    }
+
+    if (q === "{") {
+      // JSX expression: data-layout={variant}, data-layout={"stack"}
+      const end = skipBalanced(text, j);
+      if (end === -1) {
+        attributes.pop();
+        return {
+          attributes,
+          end: -1,
+          pending: pendingInExpression(name, text.slice(j + 1)),
+        };
+      }
+      setExpressionValue(attr, text.slice(j + 1, end - 1), j + 1);
+      i = attr.end = end;
+      continue;
+    }
+
+    // unquoted value (HTML) or expression (Pug: data-layout=variant)
+    const valueStart = j;
+    while (j < text.length && /[^\s>)]/.test(text[j])) j++;
+    if (j >= text.length) {
+      attributes.pop();
+      return closing === ")"
+        ? other()
+        : {
+            attributes,
+            end: -1,
+            pending: valueContext(name, text.slice(valueStart)),
+          };
+    }
+    if (closing === ")") {
+      attr.dynamic = true;
+    } else {
+      attr.value = text.slice(valueStart, j);
+      attr.valueStart = valueStart;
+    }
+    i = attr.end = j;
+  }
+  return betweenAttributes();
+}
+
+/**
+ * Cursor inside a plain quoted value: a value context, unless it is inside
+ * a template expression ({{ cond ? 'stack' : 'duo' }}).
+ */
+function pendingInText(name: string, raw: string): PendingContext {
+  const open = Math.max(raw.lastIndexOf("{{"), raw.lastIndexOf("{%"));
+  if (
+    open !== -1 &&
+    raw.indexOf(raw[open + 1] === "%" ? "%}" : "}}", open) === -1
+  ) {
+    return pendingInExpression(name, raw.slice(open + 2));
+  }
+  return valueContext(name, raw);
+}
+
+/**
+ * Cursor inside an expression: a value context only when the cursor is in
+ * a string literal (eg `isMobile ? 'st|`).
+ */
+function pendingInExpression(name: string, expression: string): PendingContext {
+  let quote = "";
+  let literalStart = -1;
+  for (let k = 0; k < expression.length; k++) {
+    const c = expression[k];
+    if (quote) {
+      if (c === "\\") k++;
+      else if (c === quote) quote = "";
+    } else if (c === '"' || c === "'" || c === "`") {
+      quote = c;
+      literalStart = k + 1;
+    }
+  }
+  const typed = quote ? expression.slice(literalStart) : "";
+  if (!quote || /\$\{/.test(typed)) return { kind: "other", typed: "" };
+  return valueContext(name, typed, true);
+}
+
+/**
+ * Value context of the value typed so far: the last token is being typed,
+ * the previous ones are complete.
+ */
+function valueContext(
+  name: string,
+  value: string,
+  inExpression = false
+): PendingContext {
+  const tokens = value.split(/\s+/);
+  const typed = tokens.pop() || "";
+  return {
+    kind: "value",
+    attributeName: name,
+    typed,
+    previousTokens: tokens.filter((t) => t),
+    valueText: value,
+    inExpression,
+  };
+}
+
+/**
+ * Set the value of an attribute bound to an expression: static when the
+ * expression is a single string literal ("stack"), dynamic otherwise.
+ */
+function setExpressionValue(
+  attr: ScannedAttribute,
+  expression: string,
+  offset: number
+) {
+  const m = expression.match(/^(\s*)(["'`])([^"'`\\]*)\2\s*$/);
+  if (m && !(m[2] === "`" && m[3].includes("${"))) {
+    attr.value = m[3];
+    attr.valueStart = offset + m[1].length + 1;
+  } else {
+    attr.dynamic = true;
+  }
+}
+
+/**
+ * Skip a balanced block opened at `start` ('{' or '('), ignoring the
+ * brackets found in string literals. Returns the offset right after the
+ * closing bracket, or -1 when it is not closed.
+ */
+function skipBalanced(text: string, start: number): number {
+  const open = text[start];
+  const close = open === "{" ? "}" : ")";
+  let depth = 0;
+  let quote = "";
+  for (let k = start; k < text.length; k++) {
+    const c = text[k];
+    if (quote) {
+      if (c === "\\") k++;
+      else if (c === quote) quote = "";
+    } else if (c === '"' || c === "'" || c === "`") {
+      quote = c;
+    } else if (c === open) {
+      depth++;
+    } else if (c === close) {
+      depth--;
+      if (depth === 0) return k + 1;
+    }
+  }
+  return -1;
+}
@@ -0,0 +1,330 @@
+import {
+  GlobalAttribute,
+  LayoutEntry,
+  LayoutsData,
+  splitValues,
+} from "./layouts";
+
+// A CSS rule: its full selectors (nesting resolved) and its declarations
+interface CssRule {
+  selectors: string[];
+  declarations: string[];
+}
+
+// attribute selector on a data-* attribute: [data-x], [data-x="v"], [data-x~=v i]…
+const ATTRIBUTE_SELECTOR_RE =
+  /\[\s*(data-[\w-]+)\s*(?:[~|^$*]?=\s*(?:"([^"]*)"|'([^']*)'|([^\s\]]+)))?\s*(?:[iIsS]\s*)?\]/g;
+
+/**
+ * Build the layouts from the project Bretzel stylesheets (CSS or SCSS):
+ * - `[data-layout="x"]` selectors give the layout names,
+ * - other `[data-…="v"]` selectors give the attribute values, global when
+ *   used without a layout name (eg `[data-layout][data-gap="m"]`) or declared
+ *   as global in the metadata, specific to the layout otherwise,
+ * - custom properties set or read in the layout rules (eg `--col-min-size`)
+ *   give the layout CSS variables, except those declared outside of any
+ *   layout rule (theme tokens, values set by `data-gap`…).
+ * The JSON `metadata` is layered on top for labels, usages, descriptions
+ * and defaults; its values are kept along with those of the stylesheets
+ * (values styled by the base rule have no selector of their own, eg
+ * data-split="1-1"). Returns undefined when the stylesheets define no layout.
+ */
+export function buildLayoutsFromCss(
+  stylesheets: string[],
+  metadata: LayoutsData
+): LayoutsData | undefined {
+  const layoutNames: string[] = [];
+  const layoutAttributes = new Map<string, Map<string, string[]>>();
+  const layoutProperties = new Map<string, string[]>();
+  const globalValues = new Map<string, string[]>();
+  // attributes used along with data-layout somewhere (Bretzel attributes)
+  const withLayout = new Set<string>();
+  // custom properties declared outside of the layout rules
+  const declaredElsewhere = new Set<string>();
+  const metadataGlobals = new Set(
+    (metadata.rootGlobalAttributes || []).map((a) => a.name)
+  );
+
+  const push = (list: string[], value: string) => {
+    if (!list.includes(value)) list.push(value);
+  };
+
+  for (const css of stylesheets) {
+    for (const rule of parseRules(css).rules) {
+      // layouts styled by the rule (the last data-layout of each selector)
+      const ruleLayouts: string[] = [];
+      for (const selector of rule.selectors) {
+        let selectorLayout: string | undefined;
+        for (const compound of splitTopLevel(selector, /[\s>+~]/)) {
+          const attributes = parseAttributeSelectors(compound);
+          const layoutAttr = attributes.find((a) => a.name === "data-layout");
+          for (const a of attributes) {
+            if (a.name === "data-layout") {
+              if (a.value) {
+                push(layoutNames, a.value);
+                selectorLayout = a.value;
+              }
+              continue;
+            }
+            if (layoutAttr) {
+              withLayout.add(a.name);
+            }
+            if (!a.value) continue;
+            if (layoutAttr?.value && !metadataGlobals.has(a.name)) {
+              // [data-layout="duo"][data-split="2-1"]: specific to the layout
+              const attrs =
+                layoutAttributes.get(layoutAttr.value) ||
+                new Map<string, string[]>();
+              layoutAttributes.set(layoutAttr.value, attrs);
+              const values = attrs.get(a.name) || [];
+              attrs.set(a.name, values);
+              push(values, a.value);
+            } else {
+              const values = globalValues.get(a.name) || [];
+              globalValues.set(a.name, values);
+              push(values, a.value);
+            }
+          }
+        }
+        if (selectorLayout) push(ruleLayouts, selectorLayout);
+      }
+
+      // custom properties set (--x: …) or read (var(--x)) by the rule
+      for (const declaration of rule.declarations) {
+        const declared = declaration.match(/^(--[\w-]+)\s*:/);
+        if (ruleLayouts.length === 0) {
+          if (declared) declaredElsewhere.add(declared[1]);
+          continue;
+        }
+        const names = declared ? [declared[1]] : [];
+        const varRe = /var\(\s*(--[\w-]+)/g;
+        let m: RegExpExecArray | null;
+        while ((m = varRe.exec(declaration))) {
+          names.push(m[1]);
+        }
+        for (const layout of ruleLayouts) {
+          const properties = layoutProperties.get(layout) || [];
+          layoutProperties.set(layout, properties);
+          names.forEach((n) => push(properties, n));
+        }
+      }
+    }
+  }
+
+  if (layoutNames.length === 0) return undefined;
+
+  // an attribute used on one layout only but also used without layout name
+  // is global: move its values to the global attributes
+  for (const [, attrs] of layoutAttributes) {
+    for (const [name, values] of attrs) {
+      if (!globalValues.has(name)) continue;
+      values.forEach((v) => push(globalValues.get(name) as string[], v));
+      attrs.delete(name);
+    }
+  }
+
+  // per-layout defaults of the global attributes (eg data-gap: s)
+  const globalDefaults = new Map<string, string[]>();
+  for (const l of metadata.layouts) {
+    for (const d of l.globalAttributeDefaults || []) {
+      if (!d || !d.name || !d.default) continue;
+      const defaults = globalDefaults.get(d.name) || [];
+      globalDefaults.set(d.name, defaults);
+      push(defaults, d.default);
+    }
+  }
+
+  const rootGlobalAttributes: GlobalAttribute[] = [];
+  for (const [name, values] of globalValues) {
+    if (!withLayout.has(name) && !metadataGlobals.has(name)) continue;
+    const meta = (metadata.rootGlobalAttributes || []).find(
+      (a) => a.name === name
+    );
+    rootGlobalAttributes.push({
+      ...meta,
+      name,
+      value: mergeValues(meta?.value, globalDefaults.get(name) || [], values),
+    });
+  }
+
+  const layouts: LayoutEntry[] = layoutNames.map((name) => {
+    const meta = metadata.layouts.find((l) => l.name === name);
+    const metaAttributes = Array.isArray(meta?.attributes)
+      ? meta?.attributes || []
+      : [];
+    const attributes = [...(layoutAttributes.get(name) || new Map())].map(
+      ([attrName, values]: [string, string[]]) => {
+        const metaAttr = metaAttributes.find((a) => a && a.name === attrName);
+        return {
+          ...metaAttr,
+          name: attrName,
+          value: mergeValues(metaAttr?.value, [], values),
+        };
+      }
+    );
+    const properties = (layoutProperties.get(name) || [])
+      .filter((p) => !declaredElsewhere.has(p))
+      .map((propName) => {
+        const metaProp = (meta?.properties || []).find(
+          (p) => p && p.name === propName
+        );
+        return { ...metaProp, name: propName };
+      });
+    return {
+      ...meta,
+      name,
+      label: meta?.label || name.charAt(0).toUpperCase() + name.slice(1),
+      attributes,
+      properties,
+    };
+  });
+
+  return { layouts, rootGlobalAttributes };
+}
+
+/**
+ * Enumerated values of an attribute: those of the metadata first, then the
+ * defaults and the values found in the stylesheets.
+ */
+function mergeValues(
+  metaValue: string | undefined,
+  defaults: string[],
+  cssValues: string[]
+): string {
+  const values = splitValues(metaValue);
+  for (const v of [...defaults, ...cssValues]) {
+    if (!values.includes(v)) values.push(v);
+  }
+  return values.join("|");
+}
+
+/**
+ * Names of the layouts targeted by the rule enclosing the end of `cssBefore`
+ * (the CSS text up to the cursor), eg ["autogrid"] inside
+ * `[data-layout="autogrid"] { … }` or a rule nested in it.
+ */
+export function findLayoutsAtEnd(cssBefore: string): string[] {
+  const { open } = parseRules(cssBefore);
+  const current = open[open.length - 1];
+  if (!current) return [];
+  const layouts: string[] = [];
+  for (const selector of current.selectors) {
+    // the last data-layout of the selector is the one styled by the rule
+    let selectorLayout: string | undefined;
+    for (const a of parseAttributeSelectors(selector)) {
+      if (a.name === "data-layout" && a.value) selectorLayout = a.value;
+    }
+    if (selectorLayout && !layouts.includes(selectorLayout)) {
+      layouts.push(selectorLayout);
+    }
+  }
+  return layouts;
+}
+
+/**
+ * Parse the rules of a stylesheet. Nested rules (SCSS or native nesting) get
+ * their full selectors; declarations inside at-rules (@media, @layer…) are
+ * attributed to the enclosing rule. `open` lists the rules still open at the
+ * end of the text (innermost last).
+ */
+function parseRules(css: string): { rules: CssRule[]; open: CssRule[] } {
+  // strip block comments and SCSS line comments (but not "//" in urls)
+  const text = css
+    .replace(/\/\*[\s\S]*?\*\//g, "")
+    .replace(/(^|[^:])\/\/[^\n]*/g, "$1");
+  const rules: CssRule[] = [];
+  const stack: CssRule[] = [];
+  let buffer = "";
+  let quote = "";
+  for (const c of text) {
+    if (quote) {
+      buffer += c;
+      if (c === quote) quote = "";
+      continue;
+    }
+    if (c === '"' || c === "'") {
+      quote = c;
+      buffer += c;
+    } else if (c === "{") {
+      const prelude = buffer.trim();
+      buffer = "";
+      const parent = stack[stack.length - 1];
+      if (prelude.startsWith("@")) {
+        // at-rule block: keep the selectors of the enclosing rule
+        const rule = {
+          selectors: parent ? parent.selectors : [],
+          declarations: [],
+        };
+        rules.push(rule);
+        stack.push(rule);
+        continue;
+      }
+      const own = splitTopLevel(prelude, /,/);
+      const selectors = parent?.selectors.length
+        ? parent.selectors.flatMap((p) =>
+            own.map((s) => (s.includes("&") ? s.replace(/&/g, p) : `${p} ${s}`))
+          )
+        : own;
+      const rule = { selectors, declarations: [] };
+      rules.push(rule);
+      stack.push(rule);
+    } else if (c === ";" || c === "}") {
+      const declaration = buffer.trim();
+      buffer = "";
+      const current = stack[stack.length - 1];
+      if (current && declaration) {
+        current.declarations.push(declaration);
+      }
+      if (c === "}") stack.pop();
+    } else {
+      buffer += c;
+    }
+  }
+  return { rules, open: stack };
+}
+
+/**
+ * Split a selector on a separator found outside of brackets, parentheses
+ * and quotes (eg the selector list on ",", the compounds on combinators).
+ */
+function splitTopLevel(selector: string, separator: RegExp): string[] {
+  const parts: string[] = [];
+  let depth = 0;
+  let quote = "";
+  let current = "";
+  for (const c of selector) {
+    if (quote) {
+      if (c === quote) quote = "";
+    } else if (c === '"' || c === "'") {
+      quote = c;
+    } else if (c === "[" || c === "(") {
+      depth++;
+    } else if (c === "]" || c === ")") {
+      depth--;
+    } else if (depth === 0 && separator.test(c)) {
+      if (current.trim()) parts.push(current.trim());
+      current = "";
+      continue;
+    }
+    current += c;
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * List the data-* attribute selectors of a compound selector, including
+ * those nested in :where() / :is().
+ */
+function parseAttributeSelectors(
+  compound: string
+): Array<{ name: string; value?: string }> {
+  const result: Array<{ name: string; value?: string }> = [];
+  const re = new RegExp(ATTRIBUTE_SELECTOR_RE.source, "g");
+  let m: RegExpExecArray | null;
+  while ((m = re.exec(compound))) {
+    const value = (m[2] ?? m[3] ?? m[4])?.trim();
+    result.push({ name: m[1], value: value || undefined });
+  }
+  return result;
+}
@@ -0,0 +1,119 @@
+import { isDynamicValue, ScannedAttribute } from "./context";
+import { buildDeprecationMessage } from "./documentation";
+import {
+  findAttributeDefinition,
+  findDeprecatedValue,
+  GlobalAttribute,
+  isDeprecated,
+  LayoutEntry,
+} from "./layouts";
+import * as l10n from "./l10n";
+
+// A deprecated layout name, attribute name or value found in a tag
+export interface DeprecatedUsage {
+  kind: "layout" | "attribute" | "value";
+  // offsets of the deprecated text in the scanned text
+  start: number;
+  end: number;
+  // deprecated layout name, attribute name or value
+  text: string;
+  // attribute carrying the deprecated value (kind "value")
+  attribute?: string;
+  // text replacing the deprecated one (`replacedBy`), if any
+  replacement?: string;
+  message: string;
+}
+
+/**
+ * Find the deprecated layout, attributes and values of a tag carrying a
+ * data-layout (`deprecated` / `replacedBy` metadata of layouts.json).
+ */
+export function findDeprecatedUsages(
+  attributes: ScannedAttribute[],
+  layouts: LayoutEntry[],
+  rootGlobalAttributes?: GlobalAttribute[]
+): DeprecatedUsage[] {
+  const layoutAttr = attributes.find((a) => a.name === "data-layout");
+  if (!layoutAttr) return [];
+  const usages: DeprecatedUsage[] = [];
+
+  let layout: LayoutEntry | undefined;
+  if (
+    layoutAttr.value !== undefined &&
+    layoutAttr.valueStart !== undefined &&
+    !layoutAttr.dynamic &&
+    !isDynamicValue(layoutAttr.value)
+  ) {
+    const name = layoutAttr.value.trim();
+    layout = layouts.find((l) => l.name === name);
+    if (layout && isDeprecated(layout)) {
+      const start = layoutAttr.valueStart + layoutAttr.value.indexOf(name);
+      usages.push({
+        kind: "layout",
+        start,
+        end: start + name.length,
+        text: name,
+        replacement: layout.replacedBy,
+        message: buildDeprecationMessage(
+          l10n.t("The layout {0}", name),
+          layout
+        ),
+      });
+    }
+  }
+
+  for (const attr of attributes) {
+    if (attr.name === "data-layout") continue;
+    const definition = findAttributeDefinition(
+      attr.name,
+      layouts,
+      rootGlobalAttributes,
+      layout
+    );
+    if (!definition) continue;
+    if (isDeprecated(definition)) {
+      // keep the binding prefix (":data-scroll" → ":data-snap")
+      const start = attr.nameStart + attr.rawName.length - attr.name.length;
+      usages.push({
+        kind: "attribute",
+        start,
+        end: start + attr.name.length,
+        text: attr.name,
+        replacement: definition.replacedBy,
+        message: buildDeprecationMessage(
+          l10n.t("The attribute {0}", attr.name),
+          definition
+        ),
+      });
+    }
+    if (
+      attr.value === undefined ||
+      attr.valueStart === undefined ||
+      attr.dynamic ||
+      isDynamicValue(attr.value)
+    ) {
+      continue;
+    }
+    // values may combine several tokens (eg data-split="2-1 reverse")
+    const tokenRe = /\S+/g;
+    let token: RegExpExecArray | null;
+    while ((token = tokenRe.exec(attr.value))) {
+      const deprecated = findDeprecatedValue(definition, token[0]);
+      if (!deprecated) continue;
+      const start = attr.valueStart + token.index;
+      usages.push({
+        kind: "value",
+        start,
+        end: start + token[0].length,
+        text: token[0],
+        attribute: attr.name,
+        replacement: deprecated.replacedBy,
+        message: buildDeprecationMessage(
+          l10n.t('The value "{0}" of {1}', token[0], attr.name),
+          deprecated
+        ),
+      });
+    }
+  }
+  return usages;
+}
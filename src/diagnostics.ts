@@ -0,0 +1,100 @@
+import * as vscode from "vscode";
+import { GlobalAttribute, LayoutEntry, LayoutsData } from "./layouts";
+import { isEnabledDocument, onDidChangeSettings } from "./settings";
+import { validateLayouts } from "./validation";
+
+// delay before re-validating a document after an edit (ms)
+const VALIDATION_DELAY = 300;
+
+/**
+ * Register the "bretzel" diagnostic collection: validates data-layout and
+ * its related attributes in every open document of the enabled languages.
+ * Returns a function re-validating all open documents (eg after the layouts
+ * have been reloaded).
+ */
+export function registerDiagnostics(
+  context: vscode.ExtensionContext,
+  data: LayoutsData
+): () => void {
+  const collection = vscode.languages.createDiagnosticCollection("bretzel");
+  const timers = new Map<string, NodeJS.Timeout>();
+
+  const refresh = (document: vscode.TextDocument) => {
+    if (!isEnabledDocument(document)) {
+      collection.delete(document.uri);
+      return;
+    }
+    collection.set(
+      document.uri,
+      computeDiagnostics(document, data.layouts, data.rootGlobalAttributes)
+    );
+  };
+
+  const refreshAll = () => vscode.workspace.textDocuments.forEach(refresh);
+
+  // validate documents already open when the extension activates
+  refreshAll();
+
+  context.subscriptions.push(
+    collection,
+    // the enabled languages may have changed
+    onDidChangeSettings(refreshAll),
+    vscode.workspace.onDidOpenTextDocument(refresh),
+    vscode.workspace.onDidChangeTextDocument((e) => {
+      // debounce: validate once the user pauses typing
+      const key = e.document.uri.toString();
+      clearTimeout(timers.get(key));
+      timers.set(
+        key,
+        setTimeout(() => {
+          timers.delete(key);
+          refresh(e.document);
+        }, VALIDATION_DELAY)
+      );
+    }),
+    vscode.workspace.onDidCloseTextDocument((document) => {
+      const key = document.uri.toString();
+      clearTimeout(timers.get(key));
+      timers.delete(key);
+      collection.delete(document.uri);
+    }),
+    { dispose: () => timers.forEach((t) => clearTimeout(t)) }
+  );
+  return refreshAll;
+}
+
+/**
+ * Diagnostics of a document: the problems found by validateLayouts (see
+ * validation.ts), shared with the bretzel-lint command line.
+ */
+export function computeDiagnostics(
+  document: vscode.TextDocument,
+  layouts: LayoutEntry[],
+  rootGlobalAttributes?: GlobalAttribute[]
+): vscode.Diagnostic[] {
+  return validateLayouts(
+    document.getText(),
+    document.languageId,
+    layouts,
+    rootGlobalAttributes
+  ).map((problem) => {
+    const d = new vscode.Diagnostic(
+      new vscode.Range(
+        document.positionAt(problem.start),
+        document.positionAt(problem.end)
+      ),
+      problem.message,
+      problem.severity === "hint"
+        ? vscode.DiagnosticSeverity.Hint
+        : vscode.DiagnosticSeverity.Warning
+    );
+    d.source = "bretzel";
+    d.code = problem.code;
+    if (problem.code === "redundant-default") {
+      d.tags = [vscode.DiagnosticTag.Unnecessary];
+    } else if (problem.code === "deprecated") {
+      d.tags = [vscode.DiagnosticTag.Deprecated];
+    }
+    return d;
+  });
+}
@@ -0,0 +1,220 @@
+import {
+  AttributeDefinition,
+  Deprecation,
+  findDeprecatedValue,
+  getEffectiveGlobals,
+  GlobalAttribute,
+  isDeprecated,
+  LayoutEntry,
+  splitValues,
+} from "./layouts";
+import * as l10n from "./l10n";
+
+// Documentation blocks (Markdown) shared by the completion and hover
+// providers. They return plain strings so callers decide how to wrap them.
+
+/**
+ * Collapse newlines and excessive whitespace (some entries in layouts.json
+ * may contain multi-line descriptions).
+ */
+export function sanitize(s: string): string {
+  return s.replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Deprecation notice of a layout, an attribute or a value (plain text), eg
+ * "The attribute data-scroll is deprecated: use data-snap instead."
+ */
+export function buildDeprecationMessage(
+  subject: string,
+  d: Deprecation
+): string {
+  let message = l10n.t("{0} is deprecated", subject);
+  if (typeof d.deprecated === "string" && d.deprecated.trim()) {
+    message += ` (${sanitize(d.deprecated)})`;
+  }
+  if (d.replacedBy) {
+    return l10n.t("{0}: use {1} instead.", message, d.replacedBy);
+  }
+  return message + ".";
+}
+
+/**
+ * Markdown documentation of a layout: usage, specific attributes, CSS
+ * variables and global attributes (with the layout defaults). The "summary"
+ * detail level stops after the usage.
+ */
+export function buildLayoutDocumentation(
+  l: LayoutEntry,
+  rootGlobalAttributes?: GlobalAttribute[],
+  detail: "full" | "summary" = "full"
+): string {
+  let doc = "";
+  if (isDeprecated(l)) {
+    doc += `**${buildDeprecationMessage(
+      l10n.t("The layout {0}", l.name),
+      l
+    )}**\n\n`;
+  }
+  if (l.usage) {
+    doc += `**${l10n.t("Usage:")}** ${sanitize(l.usage)}\n\n`;
+  }
+  if (detail === "summary") return doc;
+
+  // Attributes section (specific to this layout)
+  if (Array.isArray(l.attributes)) {
+    if (l.attributes.length === 0) {
+      doc += `**${l10n.t("Specific HTML attributes:")}** ${l10n.t("none")}\n\n`;
+    } else {
+      doc += `**${l10n.t("Specific HTML attributes:")}**\n\n`;
+      for (const a of l.attributes) {
+        if (a && typeof a === "object") {
+          const name = (a as any).name || JSON.stringify(a);
+          const val = (a as any).value;
+          const desc = (a as any).description || "";
+          if (val) {
+            doc += `- \`${name}="${val}"\` — ${sanitize(desc)}\n`;
+          } else {
+            doc += `- \`${name}\` ${desc ? `— ${sanitize(desc)}` : ""}\n`;
+          }
+        } else {
+          doc += `- ${String(a)}\n`;
+        }
+      }
+      doc += `\n`;
+    }
+  } else if (typeof l.attributes === "string" && l.attributes) {
+    doc += `**${l10n.t("Specific HTML attributes:")}** ${sanitize(
+      String(l.attributes)
+    )}\n\n`;
+  }
+
+  // Properties (CSS variables)
+  if (Array.isArray(l.properties)) {
+    if (l.properties.length === 0) {
+      doc += `**${l10n.t("Specific CSS variables:")}** ${l10n.t("none")}\n\n`;
+    } else {
+      doc += `**${l10n.t("Specific CSS variables:")}**\n\n`;
+      for (const p of l.properties) {
+        if (p && typeof p === "object") {
+          const pname = (p as any).name || JSON.stringify(p);
+          const pdesc = (p as any).description || "";
+          doc += `- \`${pname}\` ${pdesc ? `— ${sanitize(pdesc)}` : ""}\n`;
+        } else {
+          doc += `- ${String(p)}\n`;
+        }
+      }
+      doc += `\n`;
+    }
+  }
+
+  // --- Attributs HTML globaux (render after specifics & properties)
+  const effectiveGlobalsMap = getEffectiveGlobals(l, rootGlobalAttributes);
+  if (effectiveGlobalsMap.size === 0) {
+    doc += `**${l10n.t("Global HTML attributes:")}** ${l10n.t("none")}\n\n`;
+  } else {
+    doc += `**${l10n.t("Global HTML attributes:")}**\n\n`;
+    for (const [, a] of effectiveGlobalsMap) {
+      const name = a.name || JSON.stringify(a);
+      const val = a.value;
+      const desc = a.description || "";
+      const def = a.valueDefault || a.default || a.defaultValue;
+      if (val) {
+        if (def) {
+          doc += `- \`${name}="${val}"\` — ${sanitize(desc)} ${l10n.t(
+            "(default: {0})",
+            def
+          )}\n`;
+        } else {
+          doc += `- \`${name}="${val}"\` — ${sanitize(desc)}\n`;
+        }
+      } else {
+        if (def) {
+          doc += `- \`${name}\` — ${sanitize(desc)} ${l10n.t(
+            "(default: {0})",
+            def
+          )}\n`;
+        } else {
+          doc += `- \`${name}\` ${desc ? `— ${sanitize(desc)}` : ""}\n`;
+        }
+      }
+    }
+    doc += `\n`;
+  }
+  return doc;
+}
+
+/**
+ * Markdown list of the enumerated values of an attribute, the default value
+ * (if any) being flagged.
+ */
+export function buildValuesDocumentation(a: AttributeDefinition): string {
+  const values = splitValues(a.value);
+  if (values.length === 0) return "";
+  let doc = `**${l10n.t("Values:")}**\n\n`;
+  for (const v of values) {
+    const deprecated = findDeprecatedValue(a, v);
+    doc += `- \`${v}\``;
+    if (v === a.default) {
+      doc += ` ${l10n.t("(default)")}`;
+    }
+    if (deprecated) {
+      doc += ` — ${
+        deprecated.replacedBy
+          ? l10n.t("deprecated, use {0}", `\`${deprecated.replacedBy}\``)
+          : l10n.t("deprecated")
+      }`;
+    }
+    doc += `\n`;
+  }
+  return doc;
+}
+
+/**
+ * Markdown documentation of an attribute (eg data-scroll) as shown on hover;
+ * `layout` is the layout of the tag carrying it, if known. The "summary"
+ * detail level omits the values.
+ */
+export function buildAttributeDocumentation(
+  a: AttributeDefinition,
+  layout?: LayoutEntry,
+  detail: "full" | "summary" = "full"
+): string {
+  let doc = `**\`${a.name}\`**`;
+  if (layout) {
+    doc += ` — ${layout.label}`;
+  }
+  doc += `\n\n`;
+  if (isDeprecated(a)) {
+    doc += `**${buildDeprecationMessage(
+      l10n.t("The attribute {0}", a.name),
+      a
+    )}**\n\n`;
+  }
+  if (a.description) {
+    doc += `${sanitize(a.description)}\n\n`;
+  }
+  return detail === "summary" ? doc : doc + buildValuesDocumentation(a);
+}
+
+/**
+ * Markdown documentation of a layout CSS variable (eg --item-size), listing
+ * the layouts that declare it.
+ */
+export function buildPropertyDocumentation(
+  name: string,
+  layouts: LayoutEntry[]
+): string | undefined {
+  let doc = "";
+  for (const l of layouts) {
+    const p = (l.properties || []).find((x) => x && x.name === name);
+    if (!p) continue;
+    if (!doc) {
+      doc = `**\`${name}\`** — ${l10n.t("Bretzel CSS variable")}\n\n`;
+    }
+    doc += `- ${l.label} (\`data-layout="${l.name}"\`)${
+      p.description ? ` — ${sanitize(p.description)}` : ""
+    }\n`;
+  }
+  return doc || undefined;
+}
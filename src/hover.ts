@@ -0,0 +1,115 @@
+import * as vscode from "vscode";
+import { MAX_TAG_LENGTH, ScannedTag, scanWindowTags } from "./context";
+import {
+  buildAttributeDocumentation,
+  buildLayoutDocumentation,
+  buildPropertyDocumentation,
+} from "./documentation";
+import { findAttributeDefinition, LayoutEntry, LayoutsData } from "./layouts";
+import {
+  getSettings,
+  registerOnEnabledLanguages,
+  STYLE_LANGUAGES,
+} from "./settings";
+
+/**
+ * Register a hover provider documenting existing Bretzel markup:
+ * data-layout values, layout attributes (names and values) and layout CSS
+ * variables (eg --item-size, in the markup and in the stylesheets).
+ * Disabled when `bretzel.documentation` is "none".
+ */
+export function registerHover(
+  context: vscode.ExtensionContext,
+  data: LayoutsData
+) {
+  const provider: vscode.HoverProvider = {
+    provideHover(document, position) {
+      const { layouts, rootGlobalAttributes } = data;
+      const detail = getSettings().documentation;
+      if (detail === "none") return undefined;
+      const wordRange = document.getWordRangeAtPosition(position, /[\w-]+/);
+      if (!wordRange) return undefined;
+      const word = document.getText(wordRange);
+
+      // CSS variables can be hovered anywhere (style attribute, stylesheet…)
+      if (word.startsWith("--")) {
+        const doc = buildPropertyDocumentation(word, layouts);
+        return doc
+          ? new vscode.Hover(new vscode.MarkdownString(doc), wordRange)
+          : undefined;
+      }
+
+      // stylesheets only hold CSS variables
+      if (STYLE_LANGUAGES.includes(document.languageId)) return undefined;
+
+      // attribute under the cursor, in the tag surrounding it (which starts
+      // and ends within MAX_TAG_LENGTH characters)
+      const offset = document.offsetAt(position);
+      const windowStart = Math.max(0, offset - MAX_TAG_LENGTH);
+      const window = {
+        text: document.getText(
+          new vscode.Range(
+            document.positionAt(windowStart),
+            document.positionAt(offset + MAX_TAG_LENGTH)
+          )
+        ),
+        start: windowStart,
+      };
+      const tag = scanWindowTags(window, document.languageId).find(
+        (t) => t.start <= offset && offset < t.end
+      );
+      const attr = tag?.attributes.find(
+        (a) => a.nameStart <= offset && offset <= a.end
+      );
+      if (!tag || !attr) return undefined;
+      const range = new vscode.Range(
+        document.positionAt(attr.nameStart),
+        document.positionAt(attr.end)
+      );
+      const activeLayout = findLayoutInTag(tag, layouts);
+
+      if (attr.name === "data-layout") {
+        if (!activeLayout) return undefined;
+        const doc = new vscode.MarkdownString(
+          `**${activeLayout.label}** — \`data-layout="${activeLayout.name}"\`\n\n`
+        );
+        doc.appendMarkdown(
+          buildLayoutDocumentation(activeLayout, rootGlobalAttributes, detail)
+        );
+        return new vscode.Hover(doc, range);
+      }
+
+      const definition = findAttributeDefinition(
+        attr.name,
+        layouts,
+        rootGlobalAttributes,
+        activeLayout
+      );
+      if (!definition) return undefined;
+      return new vscode.Hover(
+        new vscode.MarkdownString(
+          buildAttributeDocumentation(definition, activeLayout, detail)
+        ),
+        range
+      );
+    },
+  };
+  registerOnEnabledLanguages(
+    context,
+    (selector) => vscode.languages.registerHoverProvider(selector, provider),
+    STYLE_LANGUAGES
+  );
+}
+
+/**
+ * Find the layout declared by a tag (static data-layout value only).
+ */
+function findLayoutInTag(
+  tag: ScannedTag,
+  layouts: LayoutEntry[]
+): LayoutEntry | undefined {
+  const value = tag.attributes
+    .find((a) => a.name === "data-layout")
+    ?.value?.trim();
+  return value ? layouts.find((l) => l.name === value) : undefined;
+}
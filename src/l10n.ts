@@ -0,0 +1,84 @@
+// Localisation of the messages of the extension and of the bretzel-lint
+// command line. The messages are written in English in the sources and
+// translated by the l10n/ bundles; a display language without bundle gets
+// French, like the layouts.json texts. Until a translator is set, the
+// English message is only formatted. Messages use the same `{0}`
+// placeholders as vscode.l10n.t.
+
+import * as fs from "fs";
+import * as path from "path";
+
+// Language of the messages and of the layouts.json texts when the display
+// language has no translation (layouts.json texts given as plain strings
+// are written in it)
+export const FALLBACK_LANGUAGE = "fr";
+// language of the messages of the sources (no bundle needed)
+const SOURCE_LANGUAGE = "en";
+
+export type Translator = (
+  message: string,
+  ...args: Array<string | number | boolean>
+) => string;
+
+let translator: Translator = format;
+
+/**
+ * Use `translate` (eg vscode.l10n.t) for the following messages.
+ */
+export function setTranslator(translate: Translator) {
+  translator = translate;
+}
+
+/**
+ * Translate a message, replacing `{0}`, `{1}`… by `args`.
+ */
+export function t(
+  message: string,
+  ...args: Array<string | number | boolean>
+): string {
+  return translator(message, ...args);
+}
+
+/**
+ * Replace the `{0}`, `{1}`… placeholders of a message by `args`.
+ */
+export function format(
+  message: string,
+  ...args: Array<string | number | boolean>
+): string {
+  return message.replace(/\{(\d+)\}/g, (match, index) =>
+    index < args.length ? String(args[index]) : match
+  );
+}
+
+/**
+ * Language of the messages for a display language (eg "en-us", "de"): the
+ * language itself or its base when l10nPath holds its bundle, English, or
+ * FALLBACK_LANGUAGE otherwise.
+ */
+export function messagesLanguage(language: string, l10nPath: string): string {
+  const lower = language.toLowerCase();
+  for (const candidate of [lower, lower.split(/[-_]/)[0]]) {
+    if (candidate === SOURCE_LANGUAGE) return SOURCE_LANGUAGE;
+    if (fs.existsSync(path.join(l10nPath, `bundle.l10n.${candidate}.json`))) {
+      return candidate;
+    }
+  }
+  return FALLBACK_LANGUAGE;
+}
+
+/**
+ * Translator using the l10n bundle of `language` found in `l10nPath` (see
+ * messagesLanguage), English messages being kept as is.
+ */
+export function bundleTranslator(
+  l10nPath: string,
+  language: string
+): Translator {
+  const bundle = path.join(l10nPath, `bundle.l10n.${language}.json`);
+  if (language === SOURCE_LANGUAGE || !fs.existsSync(bundle)) return format;
+  const messages: Record<string, string> = JSON.parse(
+    fs.readFileSync(bundle, "utf8")
+  );
+  return (message, ...args) => format(messages[message] ?? message, ...args);
+}
@@ -0,0 +1,338 @@
+import * as vscode from "vscode";
+import * as path from "path";
+import { isDynamicValue, ScannedTag, scanDocumentTags } from "./context";
+import * as l10n from "./l10n";
+import { LayoutsData } from "./layouts";
+import { isEnabledDocument } from "./settings";
+
+// files scanned for layout usages (languages of the document selector)
+export const USAGE_FILES =
+  "**/*.{html,htm,vue,md,php,twig,hbs,handlebars,mustache,ejs,pug,liquid,jsx,tsx,ts}";
+export const USAGE_EXCLUDE = "**/{node_modules,vendor,.git}/**";
+// maximum number of files scanned across the workspace
+export const MAX_SCANNED_FILES = 5000;
+// delay before the tree follows the file changes (ms)
+const REFRESH_DELAY = 500;
+// variant node of the usages carrying no other data-* attribute
+const NO_VARIANT = "";
+
+// A tag carrying a static data-layout in a workspace file
+interface LayoutUsage {
+  uri: vscode.Uri;
+  range: vscode.Range;
+  layout: string;
+  // other static data-* attributes of the tag, eg data-split="2-1"
+  variants: string[];
+  // trimmed text of the line of the tag
+  preview: string;
+}
+
+type UsageNode =
+  | { kind: "layout"; layout: string }
+  | { kind: "variant"; layout: string; variant: string }
+  | { kind: "usage"; usage: LayoutUsage };
+
+/**
+ * Register the "Bretzel layouts" tree view of the Explorer: every layout with
+ * the places where it is used across the workspace, grouped by attribute
+ * variant (eg duo → data-split="2-1"), with counts and click-to-navigate.
+ * Also registers the `bretzel.findLayoutUsages` command (from the cursor or
+ * a layout of the tree). The workspace is scanned when the view is first
+ * shown, then each file is rescanned when it changes. Returns a
+ * function refreshing the tree (eg after the layouts have been reloaded).
+ */
+export function registerLayoutUsages(
+  context: vscode.ExtensionContext,
+  data: LayoutsData
+): () => void {
+  // usages by file uri, undefined until the first scan
+  let usagesByFile: Map<string, LayoutUsage[]> | undefined;
+  let scanning: Promise<Map<string, LayoutUsage[]>> | undefined;
+  // incremented on each scan (and refresh) so an outdated scan is discarded
+  let generation = 0;
+  let timer: NodeJS.Timeout | undefined;
+  const onDidChangeTreeData = new vscode.EventEmitter<void>();
+
+  const scanWorkspace = (): Promise<Map<string, LayoutUsage[]>> => {
+    if (!scanning) {
+      const current = ++generation;
+      scanning = (async () => {
+        const map = new Map<string, LayoutUsage[]>();
+        const uris = await vscode.workspace.findFiles(
+          USAGE_FILES,
+          USAGE_EXCLUDE,
+          MAX_SCANNED_FILES
+        );
+        for (const uri of uris) {
+          map.set(uri.toString(), await scanFile(uri));
+        }
+        // refreshed meanwhile: the result of the new scan is used instead
+        if (current !== generation) return scanWorkspace();
+        usagesByFile = map;
+        return map;
+      })();
+    }
+    return scanning;
+  };
+
+  // usages by file once the running scan (if any) is done, so the files
+  // changed meanwhile are applied after it rather than lost
+  const scannedUsages = async () => {
+    if (!usagesByFile && scanning) await scanning;
+    return usagesByFile;
+  };
+
+  const refresh = () => {
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(() => onDidChangeTreeData.fire(), REFRESH_DELAY);
+  };
+
+  const rescan = async (uri: vscode.Uri) => {
+    if (!(await scannedUsages())) return;
+    const usages = await scanFile(uri);
+    usagesByFile?.set(uri.toString(), usages);
+    refresh();
+  };
+
+  const allUsages = async () => [...(await scanWorkspace()).values()].flat();
+
+  const provider: vscode.TreeDataProvider<UsageNode> = {
+    onDidChangeTreeData: onDidChangeTreeData.event,
+
+    async getChildren(node) {
+      const usages = await allUsages();
+      if (!node) {
+        // layouts of layouts.json first, then the unknown ones
+        const names = data.layouts.map((l) => l.name);
+        for (const u of usages) {
+          if (!names.includes(u.layout)) names.push(u.layout);
+        }
+        return names.map((layout) => ({ kind: "layout", layout }));
+      }
+      if (node.kind === "layout") {
+        const variants: string[] = [];
+        for (const u of usages) {
+          if (u.layout !== node.layout) continue;
+          for (const v of u.variants.length ? u.variants : [NO_VARIANT]) {
+            if (!variants.includes(v)) variants.push(v);
+          }
+        }
+        return variants.sort().map((variant) => ({
+          kind: "variant",
+          layout: node.layout,
+          variant,
+        }));
+      }
+      if (node.kind === "variant") {
+        return usages
+          .filter(
+            (u) =>
+              u.layout === node.layout &&
+              (node.variant === NO_VARIANT
+                ? u.variants.length === 0
+                : u.variants.includes(node.variant))
+          )
+          .map((usage) => ({ kind: "usage", usage }));
+      }
+      return [];
+    },
+
+    async getTreeItem(node) {
+      const usages = await allUsages();
+      if (node.kind === "layout") {
+        const count = usages.filter((u) => u.layout === node.layout).length;
+        const layout = data.layouts.find((l) => l.name === node.layout);
+        const item = new vscode.TreeItem(
+          node.layout,
+          count
+            ? vscode.TreeItemCollapsibleState.Collapsed
+            : vscode.TreeItemCollapsibleState.None
+        );
+        item.description = layout
+          ? `${count}`
+          : l10n.t("{0} · unknown layout", count);
+        item.tooltip = layout?.usage;
+        item.iconPath = new vscode.ThemeIcon("layout");
+        item.contextValue = "bretzelLayout";
+        return item;
+      }
+      if (node.kind === "variant") {
+        const count = usages.filter(
+          (u) =>
+            u.layout === node.layout &&
+            (node.variant === NO_VARIANT
+              ? u.variants.length === 0
+              : u.variants.includes(node.variant))
+        ).length;
+        const item = new vscode.TreeItem(
+          node.variant || l10n.t("(no attribute)"),
+          vscode.TreeItemCollapsibleState.Collapsed
+        );
+        item.description = `${count}`;
+        item.iconPath = new vscode.ThemeIcon("symbol-enum-member");
+        return item;
+      }
+      const { usage } = node;
+      const relative = vscode.workspace.asRelativePath(usage.uri);
+      const item = new vscode.TreeItem(
+        `${path.basename(usage.uri.path)}:${usage.range.start.line + 1}`
+      );
+      item.description = relative;
+      item.tooltip = usage.preview;
+      item.resourceUri = usage.uri;
+      item.command = {
+        title: l10n.t("Open"),
+        command: "vscode.open",
+        arguments: [usage.uri, { selection: usage.range }],
+      };
+      return item;
+    },
+  };
+
+  const watcher = vscode.workspace.createFileSystemWatcher(USAGE_FILES);
+  watcher.onDidCreate(rescan);
+  watcher.onDidChange(rescan);
+  watcher.onDidDelete(async (uri) => {
+    (await scannedUsages())?.delete(uri.toString());
+    refresh();
+  });
+
+  context.subscriptions.push(
+    vscode.window.registerTreeDataProvider("bretzelLayouts", provider),
+    watcher,
+    onDidChangeTreeData,
+    vscode.commands.registerCommand("bretzel.refreshLayoutUsages", () => {
+      usagesByFile = undefined;
+      scanning = undefined;
+      generation++;
+      onDidChangeTreeData.fire();
+    }),
+    vscode.commands.registerCommand(
+      "bretzel.findLayoutUsages",
+      async (node?: UsageNode) => {
+        const editor = vscode.window.activeTextEditor;
+        const layout =
+          node && node.kind !== "usage"
+            ? node.layout
+            : editor && isEnabledDocument(editor.document)
+            ? findLayoutAt(editor.document, editor.selection.active)
+            : undefined;
+        if (!layout) {
+          vscode.window.showInformationMessage(
+            l10n.t("Bretzel: place the cursor in a tag carrying a data-layout.")
+          );
+          return;
+        }
+        const locations = (await allUsages())
+          .filter((u) => u.layout === layout)
+          .map((u) => new vscode.Location(u.uri, u.range));
+        if (!locations.length) {
+          vscode.window.showInformationMessage(
+            l10n.t("Bretzel: the layout {0} is not used in any file.", layout)
+          );
+          return;
+        }
+        const origin = editor
+          ? [editor.document.uri, editor.selection.active]
+          : [locations[0].uri, locations[0].range.start];
+        await vscode.commands.executeCommand(
+          "editor.action.showReferences",
+          ...origin,
+          locations
+        );
+      }
+    ),
+    { dispose: () => timer && clearTimeout(timer) }
+  );
+  return refresh;
+}
+
+/**
+ * Static data-layout value of the tag under the cursor.
+ */
+function findLayoutAt(
+  document: vscode.TextDocument,
+  position: vscode.Position
+): string | undefined {
+  const offset = document.offsetAt(position);
+  const tag = scanDocumentTags(document.getText(), document.languageId).find(
+    (t) => t.start <= offset && offset < t.end
+  );
+  return tag && getUsage(tag)?.layout;
+}
+
+/**
+ * Layout and variants of a tag carrying a static data-layout.
+ */
+function getUsage(
+  tag: ScannedTag
+): Pick<LayoutUsage, "layout" | "variants"> | undefined {
+  const layoutAttr = tag.attributes.find((a) => a.name === "data-layout");
+  if (
+    !layoutAttr?.value ||
+    layoutAttr.dynamic ||
+    isDynamicValue(layoutAttr.value)
+  ) {
+    return undefined;
+  }
+  const variants = tag.attributes
+    .filter(
+      (a) =>
+        a.name !== "data-layout" &&
+        a.name.startsWith("data-") &&
+        a.value !== undefined &&
+        !a.dynamic &&
+        !isDynamicValue(a.value)
+    )
+    .map((a) => `${a.name}="${a.value?.trim()}"`);
+  return { layout: layoutAttr.value.trim(), variants };
+}
+
+/**
+ * Scan a workspace file for the tags carrying a static data-layout.
+ */
+async function scanFile(uri: vscode.Uri): Promise<LayoutUsage[]> {
+  let text: string;
+  try {
+    text = Buffer.from(await vscode.workspace.fs.readFile(uri)).toString(
+      "utf8"
+    );
+  } catch {
+    return [];
+  }
+  if (!text.includes("data-layout")) return [];
+  // only the Pug syntax differs for the scanner
+  const languageId = path.extname(uri.path) === ".pug" ? "pug" : "html";
+  const lineStarts = [0];
+  for (let i = text.indexOf("\n"); i !== -1; i = text.indexOf("\n", i + 1)) {
+    lineStarts.push(i + 1);
+  }
+  const positionAt = (offset: number) => {
+    // binary search of the last line starting before the offset
+    let line = 0;
+    let high = lineStarts.length - 1;
+    while (line < high) {
+      const mid = (line + high + 1) >> 1;
+      if (lineStarts[mid] <= offset) line = mid;
+      else high = mid - 1;
+    }
+    return new vscode.Position(line, offset - lineStarts[line]);
+  };
+
+  const usages: LayoutUsage[] = [];
+  for (const tag of scanDocumentTags(text, languageId)) {
+    const usage = getUsage(tag);
+    if (!usage) continue;
+    const start = positionAt(tag.start);
+    const lineEnd = text.indexOf("\n", tag.start);
+    usages.push({
+      uri,
+      range: new vscode.Range(start, start),
+      ...usage,
+      preview: text
+        .slice(lineStarts[start.line], lineEnd === -1 ? text.length : lineEnd)
+        .trim(),
+    });
+  }
+  return usages;
+}
@@ -0,0 +1,359 @@
+import * as fs from "fs";
+import * as path from "path";
+import { FALLBACK_LANGUAGE } from "./l10n";
+
+// Deprecation metadata of a layout, an attribute or a value: `deprecated` is
+// true or a message, `replacedBy` names the replacement (a deprecation on
+// its own when `deprecated` is missing)
+export interface Deprecation {
+  deprecated?: boolean | string;
+  replacedBy?: string;
+}
+
+// Deprecated value of an attribute, eg { "value": "space", "replacedBy": "between" }.
+// It stays valid (the migration command rewrites it) even when it is no
+// longer listed in the attribute `value`.
+export interface DeprecatedValue extends Deprecation {
+  value: string;
+}
+
+// Deprecation metadata shared by every kind of attribute
+export interface AttributeDeprecation extends Deprecation {
+  deprecatedValues?: DeprecatedValue[];
+}
+
+// Values of an attribute that may be added to another one, separated by
+// pipes (eg "reverse" for data-split="2-1 reverse"). The other values are
+// exclusive: a single one per attribute.
+export interface AttributeModifiers {
+  modifiers?: string;
+}
+
+// `label`, `usage`, `description` and `deprecated` may be translated in
+// layouts.json ({ "fr": "…", "en": "…" }): parseLayouts resolves them to
+// strings.
+export interface LayoutEntry extends Deprecation {
+  name: string;
+  label: string;
+  usage?: string;
+  // attributes can be a human string or an array of attribute objects
+  // we now support { name, value?, description? } to separate example values
+  attributes?:
+    | string
+    | Array<
+        {
+          name: string;
+          value?: string;
+          description?: string;
+        } & AttributeDeprecation &
+          AttributeModifiers
+      >;
+  // globalAttributes are attributes that are common across layouts (eg data-gap)
+  globalAttributes?:
+    | string
+    | Array<
+        {
+          name: string;
+          value?: string;
+          description?: string;
+        } & AttributeDeprecation &
+          AttributeModifiers
+      >;
+  // per-layout default values for the root global attributes (eg data-gap: s)
+  globalAttributeDefaults?: Array<{ name: string; default?: string }>;
+  // child elements inserted by the layout scaffold (eg ["main", "aside"])
+  children?: string[];
+  // properties: array of specific variables for this layout (e.g. data-scroll, data-split)
+  properties?: Array<{ name: string; value?: string; description?: string }>;
+}
+
+// Root global attribute (eg data-gap) as declared in layouts.json
+export type GlobalAttribute = {
+  name: string;
+  value?: string;
+  description?: string;
+} & AttributeDeprecation &
+  AttributeModifiers;
+
+// Attribute definition as used by name/value completion: `value` holds the
+// enumerated values separated by pipes (eg "xs|s|m|l|xl|none").
+export interface AttributeDefinition
+  extends AttributeDeprecation,
+    AttributeModifiers {
+  name: string;
+  value?: string;
+  description?: string;
+  default?: string;
+}
+
+/**
+ * Merge the root global attributes with the per-layout overrides
+ * (`globalAttributeDefaults` or legacy `globalAttributes`). Backwards
+ * compatible with the previous format where layouts could define full
+ * `globalAttributes` entries.
+ */
+export function getEffectiveGlobals(
+  l: LayoutEntry,
+  rootGlobalAttributes?: GlobalAttribute[]
+): Map<string, any> {
+  const effectiveGlobalsMap = new Map<string, any>();
+  // start with root global attributes (if any)
+  if (Array.isArray(rootGlobalAttributes) && rootGlobalAttributes.length) {
+    for (const a of rootGlobalAttributes) {
+      if (a && typeof a === "object" && a.name) {
+        effectiveGlobalsMap.set(a.name, { ...a });
+      }
+    }
+  }
+  // If layout defines globalAttributeDefaults or legacy globalAttributes,
+  // apply them as overrides (or include them if root has none).
+  const perLayoutGlobalsCandidates: any[] = [];
+  if (Array.isArray(l.globalAttributeDefaults)) {
+    perLayoutGlobalsCandidates.push(...l.globalAttributeDefaults);
+  }
+  if (Array.isArray(l.globalAttributes)) {
+    // legacy: treat these entries as either overrides or full definitions
+    perLayoutGlobalsCandidates.push(...l.globalAttributes);
+  }
+  for (const a of perLayoutGlobalsCandidates) {
+    if (a && typeof a === "object" && a.name) {
+      if (effectiveGlobalsMap.has(a.name)) {
+        effectiveGlobalsMap.set(a.name, {
+          ...effectiveGlobalsMap.get(a.name),
+          ...a,
+        });
+      } else {
+        effectiveGlobalsMap.set(a.name, { ...a });
+      }
+    } else if (a) {
+      // fallback: non-object entry
+      effectiveGlobalsMap.set(String(a), { name: String(a) });
+    }
+  }
+  return effectiveGlobalsMap;
+}
+
+/**
+ * Whether a layout, an attribute or a value is deprecated.
+ */
+export function isDeprecated(d?: Deprecation): boolean {
+  return !!d && (!!d.deprecated || !!d.replacedBy);
+}
+
+/**
+ * Deprecation metadata of a value of an attribute, if deprecated.
+ */
+export function findDeprecatedValue(
+  a: AttributeDeprecation,
+  value: string
+): DeprecatedValue | undefined {
+  return (a.deprecatedValues || []).find((v) => v && v.value === value);
+}
+
+/**
+ * Split an enumerated value string such as "xs|s|m|l|xl|none" into its values.
+ */
+export function splitValues(value?: string): string[] {
+  if (!value) return [];
+  return value
+    .split("|")
+    .map((v) => v.trim())
+    .filter((v) => v.length > 0);
+}
+
+/**
+ * List the attributes available on a layout: its specific attributes first,
+ * then the effective global attributes (with the layout default, if any).
+ */
+export function getLayoutAttributes(
+  l: LayoutEntry,
+  rootGlobalAttributes?: GlobalAttribute[]
+): AttributeDefinition[] {
+  const result: AttributeDefinition[] = [];
+  if (Array.isArray(l.attributes)) {
+    for (const a of l.attributes) {
+      if (a && typeof a === "object" && a.name) {
+        result.push({ ...a });
+      }
+    }
+  }
+  for (const [, a] of getEffectiveGlobals(l, rootGlobalAttributes)) {
+    if (result.some((r) => r.name === a.name)) continue;
+    result.push({
+      name: a.name,
+      value: a.value,
+      description: a.description,
+      default: a.valueDefault || a.default || a.defaultValue,
+      deprecated: a.deprecated,
+      replacedBy: a.replacedBy,
+      deprecatedValues: a.deprecatedValues,
+      modifiers: a.modifiers,
+    });
+  }
+  return result;
+}
+
+/**
+ * Find the definition of an attribute: on the active layout first, then in
+ * the root global attributes, then on any layout declaring it.
+ */
+export function findAttributeDefinition(
+  name: string,
+  layouts: LayoutEntry[],
+  rootGlobalAttributes?: GlobalAttribute[],
+  activeLayout?: LayoutEntry
+): AttributeDefinition | undefined {
+  if (activeLayout) {
+    const found = getLayoutAttributes(activeLayout, rootGlobalAttributes).find(
+      (a) => a.name === name
+    );
+    if (found) return found;
+  }
+  const global = (rootGlobalAttributes || []).find((a) => a.name === name);
+  if (global) return { ...global };
+  for (const l of layouts) {
+    if (!Array.isArray(l.attributes)) continue;
+    const found = l.attributes.find((a) => a && a.name === name);
+    if (found) return { ...found };
+  }
+  return undefined;
+}
+
+// fields of layouts.json entries that may be translated, eg
+// "usage": { "fr": "Deux colonnes…", "en": "Two columns…" }
+const LOCALIZED_FIELDS = ["label", "usage", "description", "deprecated"];
+// nested entries (attributes, CSS variables, deprecated values)
+const NESTED_ENTRIES = [
+  "attributes",
+  "globalAttributes",
+  "properties",
+  "deprecatedValues",
+];
+
+/**
+ * Pick the text of a translated layouts.json field for `language` (eg
+ * "en-us", then "en"), falling back to French then to the first
+ * translation. Plain strings and other values are returned as is.
+ */
+export function localize(value: unknown, language: string): unknown {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    return value;
+  }
+  const texts = value as Record<string, unknown>;
+  const candidates = [
+    language.toLowerCase(),
+    language.toLowerCase().split("-")[0],
+    FALLBACK_LANGUAGE,
+  ];
+  for (const candidate of candidates) {
+    if (typeof texts[candidate] === "string") return texts[candidate];
+  }
+  return Object.values(texts).find((t) => typeof t === "string");
+}
+
+/**
+ * Resolve the translated fields of a layouts.json entry and of its nested
+ * entries.
+ */
+function localizeEntry(entry: any, language: string): any {
+  if (!entry || typeof entry !== "object") return entry;
+  const result = { ...entry };
+  for (const field of LOCALIZED_FIELDS) {
+    if (field in result) {
+      result[field] = localize(result[field], language);
+    }
+  }
+  for (const field of NESTED_ENTRIES) {
+    if (Array.isArray(result[field])) {
+      result[field] = result[field].map((e: any) => localizeEntry(e, language));
+    }
+  }
+  return result;
+}
+
+// Layouts and root global attributes, as parsed from a layouts.json file
+export interface LayoutsData {
+  layouts: LayoutEntry[];
+  rootGlobalAttributes?: GlobalAttribute[];
+}
+
+/**
+ * Parse the content of a layouts.json file, the translated texts being
+ * resolved for `language` (eg vscode.env.language). Throws on invalid JSON.
+ */
+export function parseLayouts(
+  content: string,
+  language = FALLBACK_LANGUAGE
+): LayoutsData {
+  const parsed = JSON.parse(content);
+  // Support two formats for backwards compatibility:
+  // - Old format: parsed is an array of layouts
+  // - New format: parsed is an object { globalAttributes: [...], layouts: [...] }
+  if (Array.isArray(parsed)) {
+    return {
+      layouts: parsed.map((l) => localizeEntry(l, language)) as LayoutEntry[],
+    };
+  }
+  if (parsed && typeof parsed === "object") {
+    const rootGlobalAttributes = Array.isArray(parsed.globalAttributes)
+      ? parsed.globalAttributes.map((a: any) => localizeEntry(a, language))
+      : undefined;
+    const layouts = Array.isArray(parsed.layouts)
+      ? parsed.layouts.map((l: any) => localizeEntry(l, language))
+      : [];
+    return { layouts: layouts as LayoutEntry[], rootGlobalAttributes };
+  }
+  return { layouts: [] };
+}
+
+/**
+ * Load the layouts bundled with the extension (data/layouts.json).
+ */
+export function loadLayouts(
+  extensionPath: string,
+  language = FALLBACK_LANGUAGE
+): LayoutsData {
+  try {
+    const file = path.join(extensionPath, "data", "layouts.json");
+    const content = fs.readFileSync(file, { encoding: "utf8" });
+    return parseLayouts(content, language);
+  } catch (e) {
+    console.error("Unable to load data/layouts.json", e);
+    return { layouts: [] };
+  }
+}
+
+/**
+ * Merge project layouts on top of base layouts: entries sharing a name
+ * (layout or global attribute) override the base fields, other entries are
+ * appended.
+ */
+export function mergeLayouts(
+  base: LayoutsData,
+  extra: LayoutsData
+): LayoutsData {
+  const mergeByName = <T extends { name: string }>(a: T[], b: T[]): T[] => {
+    const result = a.map((x) => ({ ...x }));
+    for (const entry of b) {
+      if (!entry || typeof entry !== "object" || !entry.name) continue;
+      const index = result.findIndex((x) => x.name === entry.name);
+      if (index === -1) {
+        result.push({ ...entry });
+      } else {
+        result[index] = { ...result[index], ...entry };
+      }
+    }
+    return result;
+  };
+  const rootGlobalAttributes =
+    base.rootGlobalAttributes || extra.rootGlobalAttributes
+      ? mergeByName(
+          base.rootGlobalAttributes || [],
+          extra.rootGlobalAttributes || []
+        )
+      : undefined;
+  return {
+    layouts: mergeByName(base.layouts, extra.layouts),
+    rootGlobalAttributes,
+  };
+}
@@ -0,0 +1,47 @@
+import * as vscode from "vscode";
+import { getSettings } from "./settings";
+
+let channel: vscode.OutputChannel | undefined;
+
+/**
+ * Create the "Bretzel" output channel where the messages are written.
+ */
+export function initLogger(context: vscode.ExtensionContext) {
+  channel = vscode.window.createOutputChannel("Bretzel");
+  context.subscriptions.push(channel);
+}
+
+/**
+ * Log a diagnostic message, only when `bretzel.verboseLogging` is enabled.
+ */
+export function debug(message: string, ...args: unknown[]) {
+  if (!getSettings().verboseLogging) return;
+  write("debug", message, args);
+}
+
+/**
+ * Log an error (always).
+ */
+export function error(message: string, ...args: unknown[]) {
+  write("error", message, args);
+}
+
+function write(level: string, message: string, args: unknown[]) {
+  const details = args
+    .map((a) =>
+      a instanceof Error
+        ? a.stack || a.message
+        : typeof a === "string"
+        ? a
+        : JSON.stringify(a)
+    )
+    .join(" ");
+  const line = `[${new Date().toISOString()}] [${level}] ${message}${
+    details ? ` ${details}` : ""
+  }`;
+  if (channel) {
+    channel.appendLine(line);
+  } else {
+    console.log(line);
+  }
+}
@@ -0,0 +1,117 @@
+import * as vscode from "vscode";
+import { scanDocumentTags } from "./context";
+import { DeprecatedUsage, findDeprecatedUsages } from "./deprecations";
+import * as l10n from "./l10n";
+import { LayoutsData } from "./layouts";
+import { MAX_SCANNED_FILES, USAGE_EXCLUDE, USAGE_FILES } from "./layoutUsages";
+
+/**
+ * Register the `bretzel.migrateDeprecated` command ("Migrate the deprecated
+ * layouts and attributes"): every deprecated layout, attribute and value
+ * having a `replacedBy` is rewritten across the workspace, through the
+ * refactor preview so each change can be reviewed (and unchecked) before
+ * being applied.
+ */
+export function registerMigration(
+  context: vscode.ExtensionContext,
+  data: LayoutsData
+) {
+  const command = vscode.commands.registerCommand(
+    "bretzel.migrateDeprecated",
+    async () => {
+      const edit = new vscode.WorkspaceEdit();
+      let replaced = 0;
+      let manual = 0;
+      await vscode.window.withProgress(
+        {
+          location: vscode.ProgressLocation.Notification,
+          title: l10n.t(
+            "Bretzel: searching for deprecated layouts and attributes…"
+          ),
+        },
+        async () => {
+          const uris = await vscode.workspace.findFiles(
+            USAGE_FILES,
+            USAGE_EXCLUDE,
+            MAX_SCANNED_FILES
+          );
+          for (const uri of uris) {
+            const content = Buffer.from(
+              await vscode.workspace.fs.readFile(uri)
+            ).toString("utf8");
+            if (!content.includes("data-layout")) continue;
+            // the document gives the language and the unsaved changes
+            const document = await vscode.workspace.openTextDocument(uri);
+            const text = document.getText();
+            for (const { attributes } of scanDocumentTags(
+              text,
+              document.languageId
+            )) {
+              for (const deprecated of findDeprecatedUsages(
+                attributes,
+                data.layouts,
+                data.rootGlobalAttributes
+              )) {
+                if (!deprecated.replacement) {
+                  manual++;
+                  continue;
+                }
+                edit.replace(
+                  uri,
+                  new vscode.Range(
+                    document.positionAt(deprecated.start),
+                    document.positionAt(deprecated.end)
+                  ),
+                  deprecated.replacement,
+                  {
+                    label: describeChange(deprecated),
+                    description: deprecated.message,
+                    needsConfirmation: true,
+                  }
+                );
+                replaced++;
+              }
+            }
+          }
+        }
+      );
+
+      const manualMessage = manual
+        ? l10n.t(
+            "{0} deprecated occurrence(s) without replacement (replacedBy) must be migrated manually.",
+            manual
+          )
+        : "";
+      if (replaced === 0) {
+        vscode.window.showInformationMessage(
+          [l10n.t("Bretzel: nothing to migrate."), manualMessage]
+            .filter(Boolean)
+            .join(" ")
+        );
+        return;
+      }
+      const applied = await vscode.workspace.applyEdit(edit, {
+        isRefactoring: true,
+      });
+      if (applied && manualMessage) {
+        vscode.window.showWarningMessage(l10n.t("Bretzel: {0}", manualMessage));
+      }
+    }
+  );
+  context.subscriptions.push(command);
+}
+
+/**
+ * Label grouping the changes in the refactor preview, eg
+ * `data-layout="reel" → "carousel"`.
+ */
+function describeChange(deprecated: DeprecatedUsage): string {
+  switch (deprecated.kind) {
+    case "layout":
+      return `data-layout="${deprecated.text}" → "${deprecated.replacement}"`;
+    case "attribute":
+      return `${deprecated.text} → ${deprecated.replacement}`;
+    default:
+      return `${deprecated.attribute}="${deprecated.text}" → "${deprecated.replacement}"`;
+  }
+}
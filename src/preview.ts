@@ -0,0 +1,408 @@
+import * as vscode from "vscode";
+import { scanTag } from "./context";
+import * as l10n from "./l10n";
+import { getLayoutAttributes, LayoutsData, splitValues } from "./layouts";
+import { isEnabledDocument } from "./settings";
+import { findProjectStylesheets } from "./workspaceLayouts";
+
+// delay before the preview follows the edits and the cursor
+const PREVIEW_DELAY = 300;
+// elements without closing tag
+const VOID_ELEMENTS = [
+  "area",
+  "base",
+  "br",
+  "col",
+  "embed",
+  "hr",
+  "img",
+  "input",
+  "link",
+  "meta",
+  "source",
+  "track",
+  "wbr",
+];
+
+// Element rendered by the preview
+interface LayoutElement {
+  layout: string;
+  html: string;
+}
+
+// Message posted to the webview: the element and the controls of its layout
+interface RenderMessage {
+  type: "render";
+  html: string;
+  title: string;
+  attributes: Array<{
+    name: string;
+    values: string[];
+    default?: string;
+    description?: string;
+  }>;
+  properties: Array<{ name: string; values: string[]; description?: string }>;
+}
+
+/**
+ * Register the bretzel.previewLayout command: a webview renders the element
+ * carrying a data-layout under the cursor (and its children) with the
+ * project Bretzel stylesheets (see getPreviewStylesheets, no network
+ * access), with a resizable viewport and controls for the layout attributes
+ * and CSS variables. The preview follows the cursor and the edits of the
+ * document. Returns a function rendering the preview again (eg after the
+ * layouts or the stylesheets have been reloaded).
+ */
+export function registerPreview(
+  context: vscode.ExtensionContext,
+  data: LayoutsData
+): () => void {
+  let panel: vscode.WebviewPanel | undefined;
+  // previewed document, last element rendered and last message posted
+  // (replayed when the webview is reloaded, eg after being hidden)
+  let source: vscode.Uri | undefined;
+  let element: LayoutElement | undefined;
+  let current: RenderMessage | undefined;
+  let timer: NodeJS.Timeout | undefined;
+
+  const buildMessage = (element: LayoutElement): RenderMessage => {
+    const layout = data.layouts.find((l) => l.name === element.layout);
+    return {
+      type: "render",
+      html: element.html,
+      title: layout ? `${layout.label} — ${layout.name}` : element.layout,
+      attributes: layout
+        ? getLayoutAttributes(layout, data.rootGlobalAttributes).map((a) => ({
+            name: a.name,
+            values: splitValues(a.value),
+            default: a.default,
+            description: a.description,
+          }))
+        : [],
+      properties: (layout?.properties || [])
+        .filter((p) => p && p.name)
+        .map((p) => ({
+          name: p.name,
+          values: splitValues(p.value),
+          description: p.description,
+        })),
+    };
+  };
+
+  const post = (message: RenderMessage) => {
+    if (
+      !panel ||
+      (current && JSON.stringify(current) === JSON.stringify(message))
+    ) {
+      return;
+    }
+    current = message;
+    panel.title = l10n.t("Preview: {0}", message.title);
+    panel.webview.postMessage(message);
+  };
+
+  // follow the cursor of the previewed document
+  const update = (editor: vscode.TextEditor | undefined) => {
+    if (
+      !panel ||
+      !editor ||
+      editor.document.uri.toString() !== source?.toString()
+    ) {
+      return;
+    }
+    const found = findLayoutElement(
+      editor.document.getText(),
+      editor.document.offsetAt(editor.selection.active),
+      editor.document.languageId
+    );
+    if (found) {
+      element = found;
+      post(buildMessage(found));
+    }
+  };
+
+  const scheduleUpdate = (editor: vscode.TextEditor | undefined) => {
+    if (!panel) return;
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(() => update(editor), PREVIEW_DELAY);
+  };
+
+  const command = vscode.commands.registerCommand(
+    "bretzel.previewLayout",
+    async () => {
+      const editor = vscode.window.activeTextEditor;
+      if (!editor) return;
+      const document = editor.document;
+      if (!isEnabledDocument(document)) {
+        vscode.window.showInformationMessage(
+          l10n.t("Bretzel: the preview is not available for this type of file.")
+        );
+        return;
+      }
+      if (document.languageId === "pug") {
+        vscode.window.showInformationMessage(
+          l10n.t("Bretzel: the preview is not available for Pug files.")
+        );
+        return;
+      }
+      const found = findLayoutElement(
+        document.getText(),
+        document.offsetAt(editor.selection.active),
+        document.languageId
+      );
+      if (!found) {
+        vscode.window.showInformationMessage(
+          l10n.t(
+            "Bretzel: place the cursor in an element carrying a data-layout."
+          )
+        );
+        return;
+      }
+
+      const stylesheets = await getPreviewStylesheets(context.extensionUri);
+      const options: vscode.WebviewOptions = {
+        enableScripts: true,
+        localResourceRoots: [
+          vscode.Uri.joinPath(context.extensionUri, "data"),
+          ...(vscode.workspace.workspaceFolders || []).map((f) => f.uri),
+        ],
+      };
+      source = document.uri;
+      current = undefined;
+      if (panel) {
+        panel.reveal(vscode.ViewColumn.Beside, true);
+        // the stylesheets may have changed (bretzel.cssFiles)
+        panel.webview.options = options;
+        panel.webview.html = getPreviewHtml(panel.webview, stylesheets);
+      } else {
+        panel = vscode.window.createWebviewPanel(
+          "bretzel.preview",
+          l10n.t("Bretzel preview"),
+          { viewColumn: vscode.ViewColumn.Beside, preserveFocus: true },
+          options
+        );
+        panel.webview.html = getPreviewHtml(panel.webview, stylesheets);
+        // the webview asks for the element once its script is ready
+        panel.webview.onDidReceiveMessage((message) => {
+          if (message?.type === "ready" && current) {
+            panel?.webview.postMessage(current);
+          }
+        });
+        panel.onDidDispose(() => {
+          panel = undefined;
+          source = undefined;
+          element = undefined;
+          current = undefined;
+          if (timer) clearTimeout(timer);
+        });
+      }
+      element = found;
+      post(buildMessage(found));
+    }
+  );
+
+  context.subscriptions.push(
+    command,
+    vscode.window.onDidChangeTextEditorSelection((e) =>
+      scheduleUpdate(e.textEditor)
+    ),
+    vscode.workspace.onDidChangeTextDocument((e) => {
+      if (e.document.uri.toString() !== source?.toString()) return;
+      scheduleUpdate(
+        vscode.window.visibleTextEditors.find(
+          (ed) => ed.document === e.document
+        )
+      );
+    }),
+    { dispose: () => panel?.dispose() }
+  );
+
+  // reload the webview (a stylesheet may have changed) with the element
+  // rendered from the reloaded layouts
+  return async () => {
+    if (!panel) return;
+    const stylesheets = await getPreviewStylesheets(context.extensionUri);
+    if (!panel || !element) return;
+    current = buildMessage(element);
+    panel.title = l10n.t("Preview: {0}", current.title);
+    // the webview asks for `current` once reloaded
+    panel.webview.html = getPreviewHtml(panel.webview, stylesheets);
+  };
+}
+
+/**
+ * Find the innermost element carrying a static data-layout which contains
+ * `offset`, and return its HTML (children included).
+ */
+function findLayoutElement(
+  text: string,
+  offset: number,
+  languageId: string
+): LayoutElement | undefined {
+  const stack: Array<{ name: string; start: number; layout?: string }> = [];
+  const tagRe = /<(\/?)([a-zA-Z][\w:.-]*)/g;
+  let m: RegExpExecArray | null;
+  while ((m = tagRe.exec(text))) {
+    const name = m[2].toLowerCase();
+    if (m[1]) {
+      // closing tag: the elements closed after the cursor contain it, the
+      // first one found is the innermost
+      const close = text.indexOf(">", tagRe.lastIndex);
+      const end = close === -1 ? text.length : close + 1;
+      const index = stack.map((e) => e.name).lastIndexOf(name);
+      if (index === -1) continue;
+      const [element] = stack.splice(index);
+      if (element.layout && element.start <= offset && end >= offset) {
+        return { layout: element.layout, html: text.slice(element.start, end) };
+      }
+      continue;
+    }
+    const { attributes, end } = scanTag(text, tagRe.lastIndex, languageId);
+    if (end === -1) break;
+    tagRe.lastIndex = end;
+    const layoutAttr = attributes.find(
+      (a) => a.name === "data-layout" && a.value
+    );
+    const layout = layoutAttr?.value?.trim();
+    if (text[end - 2] === "/" || VOID_ELEMENTS.includes(name)) {
+      if (layout && m.index <= offset && end >= offset) {
+        return { layout, html: text.slice(m.index, end) };
+      }
+      continue;
+    }
+    if (name === "script" || name === "style") {
+      // raw text: skip to the closing tag
+      const close = text.indexOf(`</${name}`, end);
+      tagRe.lastIndex = close === -1 ? text.length : close;
+      continue;
+    }
+    stack.push({ name, start: m.index, layout });
+  }
+  return undefined;
+}
+
+/**
+ * Stylesheets of the preview: the project Bretzel stylesheets (setting
+ * `bretzel.cssFiles`, CSS only as the webview can't compile SCSS), or else
+ * the bundled approximation of the Bretzel layouts (data/bretzel.css).
+ */
+async function getPreviewStylesheets(
+  extensionUri: vscode.Uri
+): Promise<vscode.Uri[]> {
+  const project = (await findProjectStylesheets())
+    .map((s) => s.uri)
+    .filter((uri) => uri.path.toLowerCase().endsWith(".css"));
+  return project.length
+    ? project
+    : [vscode.Uri.joinPath(extensionUri, "data", "bretzel.css")];
+}
+
+/**
+ * HTML of the preview webview. The content security policy only allows the
+ * local stylesheets, inline styles and the nonce-tagged script: the
+ * previewed markup can neither run scripts nor fetch remote resources.
+ */
+function getPreviewHtml(
+  webview: vscode.Webview,
+  stylesheets: vscode.Uri[]
+): string {
+  const nonce = Array.from({ length: 32 }, () =>
+    Math.floor(Math.random() * 36).toString(36)
+  ).join("");
+  const widthLabel = l10n.t("Width");
+  const links = stylesheets
+    .map((uri) => `<link rel="stylesheet" href="${webview.asWebviewUri(uri)}">`)
+    .join("\n");
+  return `<!DOCTYPE html>
+<html lang="${vscode.env.language}">
+<head>
+<meta charset="UTF-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; img-src ${webview.cspSource} data:; style-src ${webview.cspSource} 'unsafe-inline'; script-src 'nonce-${nonce}';">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+${links}
+<style>
+  body { padding: 1rem; }
+  .toolbar { display: flex; flex-wrap: wrap; gap: 0.5rem 1rem; align-items: center; margin-block-end: 1rem; }
+  .toolbar label { display: flex; gap: 0.25rem; align-items: center; }
+  .toolbar select, .toolbar input { color: var(--vscode-input-foreground); background: var(--vscode-input-background); border: 1px solid var(--vscode-input-border, transparent); }
+  #frame { resize: horizontal; overflow: auto; max-width: 100%; min-width: 120px; padding: 0.5rem; border: 1px dashed var(--vscode-panel-border); background: var(--vscode-editor-background); }
+  #preview [data-layout] > * { min-height: 2rem; padding: 0.5rem; outline: 1px dashed var(--vscode-focusBorder); background: var(--vscode-editorWidget-background); }
+  #preview img { max-width: 100%; }
+</style>
+</head>
+<body>
+<div class="toolbar">
+  <label>${widthLabel} <input id="width" type="range" min="160" max="1600" step="10"> <output id="width-value"></output></label>
+</div>
+<div class="toolbar" id="controls"></div>
+<div id="frame"><div id="preview"></div></div>
+<script nonce="${nonce}">
+  const vscode = acquireVsCodeApi();
+  const state = vscode.getState() || { width: 800 };
+  const frame = document.getElementById("frame");
+  const preview = document.getElementById("preview");
+  const controls = document.getElementById("controls");
+  const width = document.getElementById("width");
+  const widthValue = document.getElementById("width-value");
+
+  const setWidth = (value) => {
+    frame.style.width = value + "px";
+    width.value = value;
+    widthValue.textContent = value + "px";
+    vscode.setState({ ...state, width: value });
+  };
+  width.addEventListener("input", () => setWidth(Number(width.value)));
+  // keep the slider in sync when the frame is resized with the mouse
+  new ResizeObserver(() => {
+    width.value = frame.offsetWidth;
+    widthValue.textContent = frame.offsetWidth + "px";
+  }).observe(frame);
+  setWidth(state.width);
+
+  const field = (label, description, input) => {
+    const wrapper = document.createElement("label");
+    wrapper.textContent = label;
+    if (description) wrapper.title = description;
+    wrapper.append(input);
+    controls.append(wrapper);
+  };
+
+  const render = (message) => {
+    preview.innerHTML = message.html;
+    controls.replaceChildren();
+    const root = preview.querySelector("[data-layout]");
+    if (!root) return;
+    for (const a of message.attributes) {
+      const select = document.createElement("select");
+      const none = new Option(a.default ? "— (" + a.default + ")" : "—", "");
+      select.append(none, ...a.values.map((v) => new Option(v, v)));
+      select.value = root.getAttribute(a.name) || "";
+      select.addEventListener("change", () => {
+        if (select.value) root.setAttribute(a.name, select.value);
+        else root.removeAttribute(a.name);
+      });
+      field(a.name, a.description, select);
+    }
+    for (const p of message.properties) {
+      const input = document.createElement("input");
+      input.value = root.style.getPropertyValue(p.name).trim();
+      input.size = 10;
+      if (p.values.length) {
+        input.placeholder = p.values.join(" | ");
+      }
+      input.addEventListener("input", () => {
+        if (input.value) root.style.setProperty(p.name, input.value);
+        else root.style.removeProperty(p.name);
+      });
+      field(p.name, p.description, input);
+    }
+  };
+
+  window.addEventListener("message", (event) => {
+    if (event.data?.type === "render") render(event.data);
+  });
+  vscode.postMessage({ type: "ready" });
+</script>
+</body>
+</html>`;
+}
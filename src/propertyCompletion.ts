@@ -0,0 +1,213 @@
+import * as vscode from "vscode";
+import { detectTagContext, MAX_TAG_LENGTH, scanTag } from "./context";
+import { findLayoutsAtEnd } from "./cssLayouts";
+import { sanitize } from "./documentation";
+import * as l10n from "./l10n";
+import { LayoutEntry, LayoutsData, splitValues } from "./layouts";
+import {
+  getSettings,
+  registerOnEnabledLanguages,
+  sortText,
+  STYLE_LANGUAGES,
+} from "./settings";
+
+/**
+ * Register the completion of the layout CSS variables (eg --col-min-size)
+ * and of their values (eg auto-fit|auto-fill for --grid-fill):
+ * - in `style="…"` attributes of elements carrying a data-layout,
+ * - in stylesheets and `<style>` blocks, inside rules targeting
+ *   `[data-layout="…"]`.
+ * Only MAX_TAG_LENGTH characters around the cursor are read: the tag, the
+ * `<style>` opening or the rule must start within them.
+ */
+export function registerPropertyCompletion(
+  context: vscode.ExtensionContext,
+  data: LayoutsData
+) {
+  const provider: vscode.CompletionItemProvider = {
+    provideCompletionItems(document, position) {
+      const offset = document.offsetAt(position);
+      const windowStart = Math.max(0, offset - MAX_TAG_LENGTH);
+      const before = document.getText(
+        new vscode.Range(document.positionAt(windowStart), position)
+      );
+
+      let layoutNames: string[];
+      let declaration: string;
+      let nameOnly = false;
+      const styleOpen = before.lastIndexOf("<style");
+      if (
+        STYLE_LANGUAGES.includes(document.languageId) ||
+        styleOpen > before.lastIndexOf("</style")
+      ) {
+        // stylesheet or <style> block: layouts of the enclosing rule
+        // a truncated stylesheet is read from the first rule end, so that
+        // it doesn't start in the middle of a selector
+        const cssBefore = STYLE_LANGUAGES.includes(document.languageId)
+          ? before.slice(windowStart > 0 ? before.indexOf("}") + 1 : 0)
+          : before.slice(before.indexOf(">", styleOpen) + 1);
+        layoutNames = findLayoutsAtEnd(cssBefore);
+        declaration = cssBefore.slice(
+          Math.max(
+            cssBefore.lastIndexOf("{"),
+            cssBefore.lastIndexOf(";"),
+            cssBefore.lastIndexOf("}")
+          ) + 1
+        );
+      } else {
+        // style attribute (or :style binding): layout declared by the same
+        // tag, before or after the cursor
+        const tagContext = detectTagContext(before, document.languageId);
+        if (
+          tagContext?.kind !== "value" ||
+          tagContext.attributeName !== "style" ||
+          tagContext.valueText === undefined
+        ) {
+          return undefined;
+        }
+        const after = document.getText(
+          new vscode.Range(
+            position,
+            document.positionAt(offset + MAX_TAG_LENGTH)
+          )
+        );
+        const { attributes } = scanTag(
+          before + after,
+          tagContext.attributesStart,
+          document.languageId
+        );
+        const layoutAttribute = attributes.find(
+          (a) => a.name === "data-layout"
+        );
+        layoutNames = layoutAttribute?.value ? [layoutAttribute.value] : [];
+        declaration = tagContext.valueText.slice(
+          tagContext.valueText.lastIndexOf(";") + 1
+        );
+        // key of a style object ({ '--col-min-size': '12rem' }): name only
+        nameOnly = !!tagContext.inExpression;
+      }
+
+      const layouts = data.layouts.filter((l) => layoutNames.includes(l.name));
+      if (layouts.length === 0) return undefined;
+
+      // value of a layout variable: "--grid-fill: |"
+      const valueMatch = declaration.match(/^\s*(--[\w-]+)\s*:\s*([\w-]*)$/);
+      if (valueMatch) {
+        return buildPropertyValueItems(
+          layouts,
+          valueMatch[1],
+          valueMatch[2],
+          position
+        );
+      }
+      // name of a layout variable: "--col|"
+      const nameMatch = declaration.match(/^\s*([\w-]*)$/);
+      if (nameMatch) {
+        return buildPropertyNameItems(
+          layouts,
+          nameMatch[1],
+          position,
+          nameOnly
+        );
+      }
+      return undefined;
+    },
+  };
+  registerOnEnabledLanguages(
+    context,
+    (selector) =>
+      vscode.languages.registerCompletionItemProvider(
+        selector,
+        provider,
+        "-",
+        ":",
+        " "
+      ),
+    STYLE_LANGUAGES
+  );
+}
+
+/**
+ * Build the completion items of the CSS variables declared by the layouts,
+ * inserting the whole declaration or, with `nameOnly`, the name.
+ */
+function buildPropertyNameItems(
+  layouts: LayoutEntry[],
+  typed: string,
+  position: vscode.Position,
+  nameOnly: boolean
+): vscode.CompletionItem[] {
+  const range = new vscode.Range(
+    position.line,
+    position.character - typed.length,
+    position.line,
+    position.character
+  );
+  const items: vscode.CompletionItem[] = [];
+  for (const l of layouts) {
+    for (const p of l.properties || []) {
+      if (!p || !p.name || items.some((i) => i.filterText === p.name)) {
+        continue;
+      }
+      const values = splitValues(p.value);
+      const item = new vscode.CompletionItem(
+        { label: p.name, description: l.label },
+        vscode.CompletionItemKind.Variable
+      );
+      if (p.description) {
+        item.detail = sanitize(p.description);
+      }
+      if (values.length && getSettings().documentation !== "none") {
+        item.documentation = new vscode.MarkdownString(
+          `**${l10n.t("Values:")}** ${values.map((v) => `\`${v}\``).join(", ")}`
+        );
+      }
+      // tab stop on the value, with the known values as choices
+      item.insertText = nameOnly
+        ? p.name
+        : new vscode.SnippetString(
+            values.length
+              ? `${p.name}: \${1|${values.join(",")}|};`
+              : `${p.name}: $1;`
+          );
+      item.range = range;
+      item.filterText = p.name;
+      item.sortText = sortText(p.name);
+      items.push(item);
+    }
+  }
+  return items;
+}
+
+/**
+ * Build the completion items of the known values of a layout CSS variable
+ * (eg auto-fit|auto-fill for --grid-fill).
+ */
+function buildPropertyValueItems(
+  layouts: LayoutEntry[],
+  name: string,
+  typed: string,
+  position: vscode.Position
+): vscode.CompletionItem[] | undefined {
+  const property = layouts
+    .flatMap((l) => l.properties || [])
+    .find((p) => p && p.name === name);
+  const values = splitValues(property?.value);
+  if (values.length === 0) return undefined;
+  const range = new vscode.Range(
+    position.line,
+    position.character - typed.length,
+    position.line,
+    position.character
+  );
+  return values.map((v, index) => {
+    const item = new vscode.CompletionItem(
+      v,
+      vscode.CompletionItemKind.EnumMember
+    );
+    item.detail = name;
+    item.range = range;
+    item.sortText = sortText(String(index).padStart(2, "0"));
+    return item;
+  });
+}
@@ -0,0 +1,172 @@
+import * as vscode from "vscode";
+import { detectTagContext, MAX_TAG_LENGTH } from "./context";
+import * as l10n from "./l10n";
+import {
+  findDeprecatedValue,
+  getLayoutAttributes,
+  GlobalAttribute,
+  isDeprecated,
+  LayoutEntry,
+  LayoutsData,
+  splitValues,
+} from "./layouts";
+import { getSettings, registerOnEnabledLanguages, sortText } from "./settings";
+
+// child elements used when a layout doesn't declare `children`
+const DEFAULT_CHILDREN = ["div", "div"];
+
+/**
+ * Register the layout scaffolds: `bretzel:<layout>` completion items outside
+ * of tags and the `bretzel.insertLayout` command ("Insert a layout"), both
+ * inserting the container, its child elements and a tab stop (with the
+ * allowed values as choices) for each enumerated attribute.
+ */
+export function registerScaffold(
+  context: vscode.ExtensionContext,
+  data: LayoutsData
+) {
+  const provider: vscode.CompletionItemProvider = {
+    provideCompletionItems(document, position) {
+      const linePrefix = document
+        .lineAt(position.line)
+        .text.substring(0, position.character);
+      const match = linePrefix.match(/(?:^|[\s>])(bretzel(?::[\w-]*)?)$/);
+      if (!match) return undefined;
+      // scaffolds are inserted in the content, never inside a tag
+      const offset = document.offsetAt(position);
+      const textBefore = document.getText(
+        new vscode.Range(
+          document.positionAt(Math.max(0, offset - MAX_TAG_LENGTH)),
+          position
+        )
+      );
+      if (detectTagContext(textBefore, document.languageId)) {
+        return undefined;
+      }
+      const range = new vscode.Range(
+        position.line,
+        position.character - match[1].length,
+        position.line,
+        position.character
+      );
+      return data.layouts.map((l) => {
+        const item = new vscode.CompletionItem(
+          { label: `bretzel:${l.name}`, description: l.label },
+          vscode.CompletionItemKind.Snippet
+        );
+        if (l.usage) {
+          item.detail = l.usage.replace(/\s+/g, " ").trim();
+        }
+        if (isDeprecated(l)) {
+          item.tags = [vscode.CompletionItemTag.Deprecated];
+        }
+        const snippet = buildScaffold(
+          l,
+          data.rootGlobalAttributes,
+          document.languageId
+        );
+        item.insertText = new vscode.SnippetString(snippet);
+        if (getSettings().documentation !== "none") {
+          item.documentation = new vscode.MarkdownString().appendCodeblock(
+            snippet
+              .replace(/\$\{\d+\|([^,|]*)[^}]*\}/g, "$1")
+              .replace(/\$\{\d+:([^}]*)\}/g, "$1")
+              .replace(/\$\d+/g, ""),
+            document.languageId === "pug" ? "pug" : "html"
+          );
+        }
+        item.range = range;
+        item.sortText = sortText(l.name);
+        return item;
+      });
+    },
+  };
+  registerOnEnabledLanguages(context, (selector) =>
+    vscode.languages.registerCompletionItemProvider(selector, provider, ":")
+  );
+
+  const command = vscode.commands.registerCommand(
+    "bretzel.insertLayout",
+    async () => {
+      const editor = vscode.window.activeTextEditor;
+      if (!editor) return;
+      const picked = await vscode.window.showQuickPick(
+        data.layouts.map((l) => ({
+          label: l.name,
+          description: l.label,
+          detail: l.usage,
+          layout: l,
+        })),
+        { placeHolder: l10n.t("Bretzel layout to insert") }
+      );
+      if (!picked) return;
+      await editor.insertSnippet(
+        new vscode.SnippetString(
+          buildScaffold(
+            picked.layout,
+            data.rootGlobalAttributes,
+            editor.document.languageId
+          )
+        )
+      );
+    }
+  );
+
+  context.subscriptions.push(command);
+}
+
+/**
+ * Build the snippet of a layout structure, eg for duo:
+ * <div data-layout="duo" data-split="${1|1-1,2-1,…|}" ${2:data-gap="${3|s,xs,…|}"}>
+ *   <main>$4</main>
+ *   <aside>$5</aside>
+ * </div>
+ * Every enumerated attribute gets a choice tab stop (modifiers such as
+ * "reverse" aren't offered on their own). An attribute having a layout
+ * default is an optional placeholder, its default listed first: deleting
+ * the selected placeholder keeps the default without restating it. Pug
+ * documents get the Pug syntax.
+ */
+export function buildScaffold(
+  l: LayoutEntry,
+  rootGlobalAttributes: GlobalAttribute[] | undefined,
+  languageId: string
+): string {
+  let tabStop = 1;
+  const attributes = [`data-layout="${l.name}"`];
+  for (const a of getLayoutAttributes(l, rootGlobalAttributes)) {
+    const modifiers = splitValues(a.modifiers);
+    const values = splitValues(a.value).filter(
+      (v) => !findDeprecatedValue(a, v) && !modifiers.includes(v)
+    );
+    // single values are modifiers (eg data-scrollbar="hidden"): not inserted
+    if (values.length < 2 || isDeprecated(a)) continue;
+    if (a.default && values.includes(a.default)) {
+      const choices = [a.default, ...values.filter((v) => v !== a.default)];
+      const placeholder = tabStop++;
+      attributes.push(
+        `\${${placeholder}:${a.name}="\${${tabStop++}|${choices.join(",")}|}"}`
+      );
+    } else {
+      attributes.push(`${a.name}="\${${tabStop++}|${values.join(",")}|}"`);
+    }
+  }
+  const children =
+    Array.isArray(l.children) && l.children.length
+      ? l.children
+      : DEFAULT_CHILDREN;
+
+  if (languageId === "pug") {
+    return (
+      [
+        `div(${attributes.join(" ")})`,
+        ...children.map((child) => `\t${child} $${tabStop++}`),
+      ].join("\n") + "\n$0"
+    );
+  }
+  return [
+    `<div ${attributes.join(" ")}>`,
+    ...children.map((child) => `\t<${child}>$${tabStop++}</${child}>`),
+    `</div>$0`,
+  ].join("\n");
+}
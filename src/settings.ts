@@ -0,0 +1,144 @@
+import * as vscode from "vscode";
+
+// languages where Bretzel markup is completed and validated by default
+const DEFAULT_LANGUAGES = [
+  "html",
+  "vue",
+  "markdown",
+  "php",
+  "twig",
+  "blade",
+  "handlebars",
+  "mustache",
+  "ejs",
+  "pug",
+  "liquid",
+  "javascriptreact",
+  "typescriptreact",
+  "typescript",
+];
+// languages where the whole document is a stylesheet (layout CSS variables)
+export const STYLE_LANGUAGES = ["css", "scss"];
+// local files, unsaved files, remote and virtual workspaces
+const DEFAULT_SCHEMES = ["file", "untitled", "vscode-remote", "vscode-vfs"];
+
+// Settings of the "bretzel" section, except the layouts sources
+// (bretzel.layoutsFile and bretzel.cssFiles, see workspaceLayouts.ts)
+export interface BretzelSettings {
+  languages: string[];
+  schemes: string[];
+  // open the suggestions when `data-` is typed
+  autoTriggerSuggest: boolean;
+  // "top": Bretzel items first and preselected, "normal": ranked by VS Code
+  sortPriority: "top" | "normal";
+  verboseLogging: boolean;
+  // documentation of the completion items and of the hover
+  documentation: DocumentationDetail;
+}
+
+// "full": everything, "summary": usage and description only, "none": no
+// documentation in the completion items and no hover
+export type DocumentationDetail = "full" | "summary" | "none";
+
+let current: BretzelSettings | undefined;
+const onDidChange = new vscode.EventEmitter<BretzelSettings>();
+
+/**
+ * Fired once the settings have changed (they are already up to date).
+ */
+export const onDidChangeSettings = onDidChange.event;
+
+/**
+ * Watch the configuration: the settings are read again on each change so
+ * every feature applies them live.
+ */
+export function initSettings(context: vscode.ExtensionContext) {
+  current = readSettings();
+  context.subscriptions.push(
+    onDidChange,
+    vscode.workspace.onDidChangeConfiguration((e) => {
+      if (!e.affectsConfiguration("bretzel")) return;
+      current = readSettings();
+      onDidChange.fire(current);
+    })
+  );
+}
+
+/**
+ * Current settings.
+ */
+export function getSettings(): BretzelSettings {
+  if (!current) {
+    current = readSettings();
+  }
+  return current;
+}
+
+/**
+ * Document selector of the enabled languages and schemes, plus
+ * `extraLanguages` (eg css and scss for the CSS variables).
+ */
+export function getDocumentSelector(
+  extraLanguages: string[] = []
+): vscode.DocumentFilter[] {
+  const { languages, schemes } = getSettings();
+  const all = [...new Set([...languages, ...extraLanguages])];
+  return all.flatMap((language) =>
+    schemes.map((scheme) => ({ language, scheme }))
+  );
+}
+
+/**
+ * Whether Bretzel is enabled for a document (language and scheme).
+ */
+export function isEnabledDocument(document: vscode.TextDocument): boolean {
+  return vscode.languages.match(getDocumentSelector(), document) > 0;
+}
+
+/**
+ * Register a language feature on the enabled languages, and register it
+ * again whenever the settings change (the selector and options such as the
+ * trigger characters are fixed at registration).
+ */
+export function registerOnEnabledLanguages(
+  context: vscode.ExtensionContext,
+  register: (selector: vscode.DocumentFilter[]) => vscode.Disposable,
+  extraLanguages: string[] = []
+) {
+  let registration = register(getDocumentSelector(extraLanguages));
+  context.subscriptions.push(
+    onDidChangeSettings(() => {
+      registration.dispose();
+      registration = register(getDocumentSelector(extraLanguages));
+    }),
+    { dispose: () => registration.dispose() }
+  );
+}
+
+/**
+ * sortText of a Bretzel completion item: `key` keeps the items in order
+ * among themselves, the "top" priority puts them before the others.
+ */
+export function sortText(key: string): string {
+  return getSettings().sortPriority === "top" ? `\u0000_${key}` : key;
+}
+
+function readSettings(): BretzelSettings {
+  const config = vscode.workspace.getConfiguration("bretzel");
+  const list = (name: string, fallback: string[]) => {
+    const value = config.get<string[]>(name, fallback);
+    return Array.isArray(value) && value.length ? value : fallback;
+  };
+  return {
+    languages: list("languages", DEFAULT_LANGUAGES),
+    schemes: list("schemes", DEFAULT_SCHEMES),
+    autoTriggerSuggest: config.get<boolean>("autoTriggerSuggest", true),
+    sortPriority:
+      config.get<string>("sortPriority", "top") === "normal" ? "normal" : "top",
+    verboseLogging: config.get<boolean>("verboseLogging", false),
+    documentation:
+      (["full", "summary", "none"] as const).find(
+        (d) => d === config.get<string>("documentation", "full")
+      ) || "full",
+  };
+}
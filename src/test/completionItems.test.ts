@@ -0,0 +1,82 @@
+import "./vscodeStub";
+import * as assert from "assert";
+import { describe, it } from "node:test";
+import * as vscode from "vscode";
+import { createCompletionItemCache } from "../completionItems";
+import { LayoutsData } from "../layouts";
+
+const data: LayoutsData = {
+  rootGlobalAttributes: [{ name: "data-gap", value: "xs|s|m|l|xl|none" }],
+  layouts: [
+    {
+      name: "stack",
+      label: "Stack",
+      globalAttributeDefaults: [{ name: "data-gap", default: "s" }],
+    },
+    {
+      name: "duo",
+      label: "Duo",
+      attributes: [{ name: "data-split", value: "1-1|2-1|1-2" }],
+    },
+  ],
+};
+
+const range = (character: number) => new vscode.Range(0, 0, 0, character);
+
+describe("createCompletionItemCache", () => {
+  it("copies the cached items with the range of each request", () => {
+    const cache = createCompletionItemCache(data);
+    const first = cache.layouts(range(1));
+    const second = cache.layouts(range(2));
+    assert.strictEqual(first.length, 2);
+    assert.notStrictEqual(first[0], second[0]);
+    // same documentation object: the items were built once
+    assert.strictEqual(first[0].documentation, second[0].documentation);
+    assert.deepStrictEqual(first[0].range, range(1));
+    assert.deepStrictEqual(second[0].range, range(2));
+  });
+
+  it("doesn't change the cached items through the copies", () => {
+    const cache = createCompletionItemCache(data);
+    const copy = cache.layoutNames(range(1))[0];
+    copy.detail = "changed";
+    copy.sortText = "changed";
+    const next = cache.layoutNames(range(2))[0];
+    assert.notStrictEqual(next.detail, "changed");
+    assert.notStrictEqual(next.sortText, "changed");
+    assert.deepStrictEqual(next.range, range(2));
+  });
+
+  it("leaves out the attributes already written in the tag", () => {
+    const cache = createCompletionItemCache(data);
+    const names = (present: string[]) =>
+      cache
+        .attributeNames(data.layouts[1], present, range(0))
+        .map((item) => item.filterText);
+    assert.deepStrictEqual(names([]), ["data-split", "data-gap"]);
+    assert.deepStrictEqual(names(["data-split"]), ["data-gap"]);
+  });
+
+  it("builds the items again after invalidate", () => {
+    const cache = createCompletionItemCache(data);
+    const before = cache.layouts(range(0))[0];
+    assert.strictEqual(
+      cache.layouts(range(0))[0].documentation,
+      before.documentation
+    );
+    cache.invalidate();
+    const after = cache.layouts(range(0))[0];
+    assert.notStrictEqual(after.documentation, before.documentation);
+    assert.deepStrictEqual(after.documentation, before.documentation);
+  });
+
+  it("reflects the layouts reloaded in place after invalidate", () => {
+    const reloaded: LayoutsData = { ...data, layouts: [...data.layouts] };
+    const cache = createCompletionItemCache(reloaded);
+    assert.strictEqual(cache.layoutNames(range(0)).length, 2);
+    reloaded.layouts.push({ name: "reel", label: "Reel" });
+    assert.strictEqual(cache.layoutNames(range(0)).length, 2);
+    cache.invalidate();
+    assert.strictEqual(cache.layoutNames(range(0)).length, 3);
+  });
+});
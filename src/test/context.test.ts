@@ -0,0 +1,213 @@
+import * as assert from "assert";
+import { describe, it } from "node:test";
+import {
+  detectTagContext,
+  isDynamicValue,
+  MAX_TAG_LENGTH,
+  scanDocumentTags,
+  scanTag,
+  scanWindowTags,
+} from "../context";
+
+const names = (text: string, languageId = "html") =>
+  detectTagContext(text, languageId)?.attributes.map((a) => a.name);
+
+describe("detectTagContext", () => {
+  it("detects an attribute name being typed", () => {
+    const context = detectTagContext('<div class="a" data-', "html");
+    assert.strictEqual(context?.kind, "name");
+    assert.strictEqual(context?.typed, "data-");
+    assert.deepStrictEqual(names('<div class="a" data-'), ["class"]);
+  });
+
+  it("detects an attribute value being typed", () => {
+    const context = detectTagContext('<div data-layout="st', "html");
+    assert.strictEqual(context?.kind, "value");
+    assert.strictEqual(context?.attributeName, "data-layout");
+    assert.strictEqual(context?.typed, "st");
+  });
+
+  it("completes the last token of a value", () => {
+    const context = detectTagContext('<div data-split="2-1 re', "html");
+    assert.strictEqual(context?.kind, "value");
+    assert.strictEqual(context?.typed, "re");
+    assert.deepStrictEqual(context?.previousTokens, ["2-1"]);
+    assert.deepStrictEqual(
+      detectTagContext('<div data-split="', "html")?.previousTokens,
+      []
+    );
+  });
+
+  it("returns the attributes written before the cursor", () => {
+    const context = detectTagContext(
+      '<section data-layout="duo" data-gap="s" data-',
+      "html"
+    );
+    const layout = context?.attributes.find((a) => a.name === "data-layout");
+    assert.strictEqual(layout?.value, "duo");
+    assert.deepStrictEqual(names('<section data-layout="duo" data-gap="s" '), [
+      "data-layout",
+      "data-gap",
+    ]);
+  });
+
+  it("ignores the cursor outside of a tag", () => {
+    assert.strictEqual(
+      detectTagContext("<div></div> data-", "html"),
+      undefined
+    );
+    assert.strictEqual(detectTagContext("a < b data-", "html"), undefined);
+    assert.strictEqual(detectTagContext("data-", "html"), undefined);
+  });
+
+  it("skips '>' in quoted values and template expressions", () => {
+    assert.strictEqual(
+      detectTagContext('<div title="a > b" data-', "html")?.kind,
+      "name"
+    );
+    assert.strictEqual(
+      detectTagContext(
+        "<div data-layout=\"{{ wide > 2 ? 'duo' : 'stack' }}\" data-",
+        "twig"
+      )?.kind,
+      "name"
+    );
+    assert.strictEqual(
+      detectTagContext('<div data-gap="<?= $gap ?>" data-', "php")?.kind,
+      "name"
+    );
+  });
+
+  it("handles JSX expressions", () => {
+    const context = detectTagContext(
+      "<div data-layout={variant} {...props} data-",
+      "typescriptreact"
+    );
+    assert.strictEqual(context?.kind, "name");
+    const layout = context?.attributes.find((a) => a.name === "data-layout");
+    assert.strictEqual(layout?.dynamic, true);
+  });
+
+  it("completes the string literals of Vue bindings", () => {
+    const context = detectTagContext(
+      "<div :data-layout=\"isMobile ? 'stack' : 'du",
+      "vue"
+    );
+    assert.strictEqual(context?.kind, "value");
+    assert.strictEqual(context?.attributeName, "data-layout");
+    assert.strictEqual(context?.typed, "du");
+  });
+
+  it("handles Pug attribute lists", () => {
+    const context = detectTagContext('div(data-layout="stack", data-', "pug");
+    assert.strictEqual(context?.kind, "name");
+    assert.deepStrictEqual(names('div(data-layout="stack", ', "pug"), [
+      "data-layout",
+    ]);
+    assert.strictEqual(
+      detectTagContext('div(data-layout="stack") data-', "pug"),
+      undefined
+    );
+  });
+
+  it("only needs the text of the current tag", () => {
+    const filler = "<p>lorem ipsum</p>\n".repeat(MAX_TAG_LENGTH / 10);
+    const text = `${filler}<div data-layout="duo" data-`;
+    assert.strictEqual(detectTagContext(text, "html")?.kind, "name");
+    const window = detectTagContext(text.slice(-MAX_TAG_LENGTH), "html");
+    assert.strictEqual(window?.kind, "name");
+    assert.strictEqual(window?.attributes[0].value, "duo");
+  });
+
+  it("gives the whole value and the tag start of a style attribute", () => {
+    const layoutOf = (before: string, after: string, languageId: string) => {
+      const context = detectTagContext(before, languageId);
+      assert.strictEqual(context?.attributeName, "style");
+      return scanTag(
+        before + after,
+        context.attributesStart,
+        languageId
+      ).attributes.find((a) => a.name === "data-layout");
+    };
+    const context = detectTagContext(
+      '<div title="a > b" data-layout="duo" style="gap: 0; --grid-fill: au',
+      "html"
+    );
+    assert.strictEqual(context?.valueText, "gap: 0; --grid-fill: au");
+    assert.strictEqual(context?.inExpression, false);
+    assert.strictEqual(
+      layoutOf('div(data-layout="autogrid" style="--', '")', "pug")?.value,
+      "autogrid"
+    );
+    assert.strictEqual(
+      layoutOf('<div :data-layout="\'autogrid\'" style="--', '">', "vue")
+        ?.value,
+      "autogrid"
+    );
+    assert.strictEqual(
+      layoutOf("<div :style=\"{ '--", '\': 1 }" data-layout="reel">', "vue")
+        ?.value,
+      "reel"
+    );
+    assert.strictEqual(
+      detectTagContext("<div :style=\"{ '--", "vue")?.inExpression,
+      true
+    );
+    assert.strictEqual(
+      layoutOf(
+        "<div :data-layout=\"isMobile ? 'stack' : 'duo'\" style=\"--",
+        '">',
+        "vue"
+      )?.value,
+      undefined
+    );
+  });
+});
+
+describe("scanDocumentTags", () => {
+  it("returns the tags and the offsets of their attributes", () => {
+    const text = '<main>\n  <div data-layout="stack" data-gap="m"></div>\n';
+    const tags = scanDocumentTags(text, "html");
+    assert.strictEqual(tags.length, 2);
+    const [layout, gap] = tags[1].attributes;
+    assert.strictEqual(layout.name, "data-layout");
+    assert.strictEqual(layout.value, "stack");
+    assert.strictEqual(
+      text.slice(layout.valueStart, (layout.valueStart || 0) + 5),
+      "stack"
+    );
+    assert.strictEqual(text.slice(gap.nameStart, gap.end), 'data-gap="m"');
+  });
+
+  it("removes the binding prefix of the attribute names", () => {
+    const [tag] = scanDocumentTags('<div :data-layout="layout">', "vue");
+    assert.strictEqual(tag.attributes[0].name, "data-layout");
+    assert.strictEqual(tag.attributes[0].rawName, ":data-layout");
+    assert.strictEqual(tag.attributes[0].dynamic, true);
+  });
+});
+
+describe("scanWindowTags", () => {
+  it("returns the tags of a window with document offsets", () => {
+    const text = '<main>\n  <div data-layout="stack" data-gap="m"></div>\n';
+    const start = text.indexOf("<div");
+    const tags = scanWindowTags({ text: text.slice(start), start }, "html");
+    assert.strictEqual(tags.length, 1);
+    assert.strictEqual(tags[0].start, start);
+    const [layout, gap] = tags[0].attributes;
+    assert.deepStrictEqual(
+      layout,
+      scanDocumentTags(text, "html")[1].attributes[0]
+    );
+    assert.strictEqual(text.slice(gap.nameStart, gap.end), 'data-gap="m"');
+  });
+});
+
+describe("isDynamicValue", () => {
+  it("detects template expressions", () => {
+    assert.strictEqual(isDynamicValue("stack"), false);
+    assert.strictEqual(isDynamicValue("{{ layout }}"), true);
+    assert.strictEqual(isDynamicValue("<?= $layout ?>"), true);
+    assert.strictEqual(isDynamicValue("{variant}"), true);
+  });
+});
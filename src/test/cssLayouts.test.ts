@@ -0,0 +1,244 @@
+import * as assert from "assert";
+import * as fs from "fs";
+import * as path from "path";
+import { describe, it } from "node:test";
+import { buildLayoutsFromCss, findLayoutsAtEnd } from "../cssLayouts";
+import {
+  getLayoutAttributes,
+  LayoutsData,
+  loadLayouts,
+  splitValues,
+} from "../layouts";
+
+const noMetadata: LayoutsData = { layouts: [] };
+
+const build = (css: string, metadata = noMetadata) => {
+  const data = buildLayoutsFromCss([css], metadata);
+  assert.ok(data);
+  return data;
+};
+const attributeValues = (data: LayoutsData, layout: string, name: string) => {
+  const attributes = data.layouts.find((l) => l.name === layout)?.attributes;
+  return Array.isArray(attributes)
+    ? splitValues(attributes.find((a) => a.name === name)?.value)
+    : [];
+};
+const globalValues = (data: LayoutsData, name: string) =>
+  splitValues(data.rootGlobalAttributes?.find((a) => a.name === name)?.value);
+
+describe("buildLayoutsFromCss", () => {
+  it("returns undefined without layout selectors", () => {
+    assert.strictEqual(
+      buildLayoutsFromCss([".card { color: red; }"], noMetadata),
+      undefined
+    );
+  });
+
+  it("reads the layout names and the quoting styles of the selectors", () => {
+    const data = build(`
+      [data-layout="stack"] { display: flex; }
+      [data-layout='duo'] { display: flex; }
+      [data-layout=reel i], .x [data-layout="stack"] > * { gap: 0; }
+    `);
+    assert.deepStrictEqual(
+      data.layouts.map((l) => [l.name, l.label]),
+      [
+        ["stack", "Stack"],
+        ["duo", "Duo"],
+        ["reel", "Reel"],
+      ]
+    );
+  });
+
+  it("separates the global and the specific attributes", () => {
+    const data = build(`
+      [data-layout][data-gap="s"] { --gap: 1rem; }
+      [data-layout][data-gap="m"] { --gap: 1.5rem; }
+      [data-layout="duo"][data-split="2-1"] { --first: 2; }
+      [data-layout="duo"][data-split~="reverse"] { flex-direction: row-reverse; }
+      :where([data-layout="reel"][data-scroll="end"]) > * { scroll-snap-align: end; }
+    `);
+    assert.deepStrictEqual(globalValues(data, "data-gap"), ["s", "m"]);
+    assert.deepStrictEqual(attributeValues(data, "duo", "data-split"), [
+      "2-1",
+      "reverse",
+    ]);
+    assert.deepStrictEqual(attributeValues(data, "reel", "data-scroll"), [
+      "end",
+    ]);
+    assert.deepStrictEqual(attributeValues(data, "duo", "data-gap"), []);
+  });
+
+  it("makes global an attribute also used without a layout name", () => {
+    const data = build(`
+      [data-layout="stack"][data-align="center"] { align-items: center; }
+      [data-layout][data-align="end"] { align-items: end; }
+    `);
+    assert.deepStrictEqual(globalValues(data, "data-align"), ["end", "center"]);
+    assert.deepStrictEqual(attributeValues(data, "stack", "data-align"), []);
+  });
+
+  it("resolves the nested rules and skips the at-rules", () => {
+    const data = build(`
+      // SCSS comment
+      [data-layout="duo"] {
+        display: flex;
+        &[data-split="1-2"] { --second: 2; }
+        @media (width < 40rem) {
+          flex-direction: column;
+          gap: var(--duo-gap);
+        }
+        > :first-child { flex-grow: var(--first); }
+      }
+      @layer layouts {
+        [data-layout="boxed"][data-boxed="small"] { max-width: 45rem; }
+      }
+    `);
+    assert.deepStrictEqual(
+      data.layouts.map((l) => l.name),
+      ["duo", "boxed"]
+    );
+    assert.deepStrictEqual(attributeValues(data, "duo", "data-split"), ["1-2"]);
+    assert.deepStrictEqual(attributeValues(data, "boxed", "data-boxed"), [
+      "small",
+    ]);
+    assert.deepStrictEqual(
+      data.layouts[0].properties?.map((p) => p.name),
+      ["--second", "--duo-gap", "--first"]
+    );
+  });
+
+  it("lists the CSS variables of the layouts, except the theme tokens", () => {
+    const data = build(`
+      :root { --space-m: 1.5rem; }
+      [data-layout][data-gap="m"] { --gap: var(--space-m); }
+      [data-layout="autogrid"] {
+        gap: var(--gap);
+        grid-template-columns: repeat(var(--grid-fill, auto-fit), minmax(var(--col-min-size), 1fr));
+      }
+    `);
+    assert.deepStrictEqual(
+      data.layouts[0].properties?.map((p) => p.name),
+      ["--grid-fill", "--col-min-size"]
+    );
+  });
+
+  it("keeps the metadata values and defaults", () => {
+    const metadata: LayoutsData = {
+      rootGlobalAttributes: [
+        { name: "data-gap", value: "s|m", description: "gutter" },
+      ],
+      layouts: [
+        {
+          name: "duo",
+          label: "Duo",
+          usage: "Two columns",
+          attributes: [
+            { name: "data-split", value: "1-1|2-1", description: "ratio" },
+          ],
+          globalAttributeDefaults: [{ name: "data-gap", default: "xs" }],
+          properties: [{ name: "--first", description: "first column" }],
+        },
+      ],
+    };
+    const data = build(
+      `
+      [data-layout][data-gap="l"] { --gap: 2rem; }
+      [data-layout="duo"] { flex-grow: var(--first); }
+      [data-layout="duo"][data-split="1-2"] { --second: 2; }
+    `,
+      metadata
+    );
+    assert.deepStrictEqual(globalValues(data, "data-gap"), [
+      "s",
+      "m",
+      "xs",
+      "l",
+    ]);
+    assert.strictEqual(data.rootGlobalAttributes?.[0].description, "gutter");
+    assert.deepStrictEqual(attributeValues(data, "duo", "data-split"), [
+      "1-1",
+      "2-1",
+      "1-2",
+    ]);
+    const duo = data.layouts[0];
+    assert.strictEqual(duo.usage, "Two columns");
+    assert.deepStrictEqual(duo.properties, [
+      { name: "--first", description: "first column" },
+      { name: "--second" },
+    ]);
+  });
+
+  it("styles every layout, value and variable of the bundled layouts", () => {
+    const root = path.join(__dirname, "..", "..");
+    const metadata = loadLayouts(root);
+    const css = fs.readFileSync(path.join(root, "data", "bretzel.css"), "utf8");
+    const styled = build(css);
+    for (const l of metadata.layouts) {
+      const layout = styled.layouts.find((s) => s.name === l.name);
+      assert.ok(layout, `no rule for the layout ${l.name}`);
+      for (const a of getLayoutAttributes(l, metadata.rootGlobalAttributes)) {
+        const values = splitValues(
+          getLayoutAttributes(layout, styled.rootGlobalAttributes).find(
+            (s) => s.name === a.name
+          )?.value
+        );
+        for (const v of splitValues(a.value)) {
+          if (v === a.default) continue;
+          assert.ok(
+            values.includes(v),
+            `no rule for ${l.name} ${a.name}="${v}"`
+          );
+        }
+      }
+      for (const p of l.properties || []) {
+        assert.ok(
+          layout.properties?.some((s) => s.name === p.name),
+          `no rule using ${p.name} for ${l.name}`
+        );
+      }
+    }
+  });
+
+  it("keeps every value of the bundled layouts with the bundled stylesheet", () => {
+    const root = path.join(__dirname, "..", "..");
+    const metadata = loadLayouts(root);
+    const css = fs.readFileSync(path.join(root, "data", "bretzel.css"), "utf8");
+    const data = build(css, metadata);
+    assert.ok(attributeValues(data, "duo", "data-split").includes("1-1"));
+    assert.ok(attributeValues(data, "reel", "data-scroll").includes("start"));
+    for (const a of metadata.rootGlobalAttributes || []) {
+      assert.deepStrictEqual(
+        globalValues(data, a.name).slice(0, splitValues(a.value).length),
+        splitValues(a.value)
+      );
+    }
+  });
+});
+
+describe("findLayoutsAtEnd", () => {
+  it("finds the layouts of the rule enclosing the cursor", () => {
+    assert.deepStrictEqual(
+      findLayoutsAtEnd('[data-layout="autogrid"] {\n  --col'),
+      ["autogrid"]
+    );
+    assert.deepStrictEqual(
+      findLayoutsAtEnd('.a [data-layout="duo"], [data-layout="reel"] { '),
+      ["duo", "reel"]
+    );
+  });
+
+  it("follows the nesting", () => {
+    assert.deepStrictEqual(
+      findLayoutsAtEnd('[data-layout="duo"] { > * { @media print { --'),
+      ["duo"]
+    );
+  });
+
+  it("returns nothing outside of a layout rule", () => {
+    assert.deepStrictEqual(
+      findLayoutsAtEnd('[data-layout="duo"] { gap: 0; }\n.card { '),
+      []
+    );
+  });
+});
@@ -0,0 +1,33 @@
+import * as assert from "assert";
+import * as path from "path";
+import { describe, it } from "node:test";
+import { bundleTranslator, FALLBACK_LANGUAGE, messagesLanguage } from "../l10n";
+
+const l10nPath = path.join(__dirname, "..", "..", "l10n");
+
+describe("messagesLanguage", () => {
+  it("keeps English and the translated languages", () => {
+    assert.strictEqual(messagesLanguage("en-us", l10nPath), "en");
+    assert.strictEqual(messagesLanguage("fr", l10nPath), "fr");
+    assert.strictEqual(messagesLanguage("fr-CA", l10nPath), "fr");
+  });
+
+  it("falls back to French for the other languages", () => {
+    assert.strictEqual(FALLBACK_LANGUAGE, "fr");
+    assert.strictEqual(messagesLanguage("de", l10nPath), "fr");
+    assert.strictEqual(messagesLanguage("c", l10nPath), "fr");
+  });
+});
+
+describe("bundleTranslator", () => {
+  it("translates with the bundle and formats the placeholders", () => {
+    const t = bundleTranslator(l10nPath, "fr");
+    assert.strictEqual(t("Remove {0}", "data-gap"), "Supprimer data-gap");
+    assert.strictEqual(t("Untranslated {0}", 1), "Untranslated 1");
+  });
+
+  it("keeps the English messages of the sources", () => {
+    const t = bundleTranslator(l10nPath, "en");
+    assert.strictEqual(t("Remove {0}", "data-gap"), "Remove data-gap");
+  });
+});
@@ -0,0 +1,230 @@
+import * as assert from "assert";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { after, describe, it } from "node:test";
+import {
+  findAttributeDefinition,
+  getEffectiveGlobals,
+  getLayoutAttributes,
+  GlobalAttribute,
+  LayoutEntry,
+  loadLayouts,
+  localize,
+  mergeLayouts,
+  parseLayouts,
+} from "../layouts";
+
+const rootGlobalAttributes: GlobalAttribute[] = [
+  { name: "data-gap", value: "xs|s|m|l|xl|none", description: "gutter" },
+  { name: "data-align", value: "start|end|center|stretch" },
+];
+
+const duo: LayoutEntry = {
+  name: "duo",
+  label: "Duo",
+  attributes: [{ name: "data-split", value: "1-1|2-1|1-2" }],
+  globalAttributeDefaults: [{ name: "data-gap", default: "m" }],
+};
+
+describe("loadLayouts", () => {
+  const extensionPath = fs.mkdtempSync(path.join(os.tmpdir(), "bretzel-"));
+  fs.mkdirSync(path.join(extensionPath, "data"));
+  const write = (content: unknown) =>
+    fs.writeFileSync(
+      path.join(extensionPath, "data", "layouts.json"),
+      JSON.stringify(content)
+    );
+  after(() => fs.rmSync(extensionPath, { recursive: true, force: true }));
+
+  it("reads the array of layouts of the old format", () => {
+    write([{ name: "stack", label: "Stack" }, duo]);
+    const data = loadLayouts(extensionPath);
+    assert.deepStrictEqual(
+      data.layouts.map((l) => l.name),
+      ["stack", "duo"]
+    );
+    assert.strictEqual(data.rootGlobalAttributes, undefined);
+  });
+
+  it("reads the global attributes and layouts of the new format", () => {
+    write({ globalAttributes: rootGlobalAttributes, layouts: [duo] });
+    const data = loadLayouts(extensionPath);
+    assert.deepStrictEqual(data.layouts, [duo]);
+    assert.deepStrictEqual(data.rootGlobalAttributes, rootGlobalAttributes);
+  });
+
+  it("reads the bundled layouts", () => {
+    const data = loadLayouts(path.join(__dirname, "..", ".."));
+    assert.ok(data.layouts.some((l) => l.name === "stack"));
+    assert.ok(data.rootGlobalAttributes?.some((a) => a.name === "data-gap"));
+  });
+});
+
+describe("parseLayouts", () => {
+  it("throws on invalid JSON", () => {
+    assert.throws(() => parseLayouts("{ layouts: "));
+  });
+
+  it("ignores unexpected content", () => {
+    assert.deepStrictEqual(parseLayouts('"layouts"'), { layouts: [] });
+    assert.deepStrictEqual(parseLayouts("{}").layouts, []);
+  });
+
+  it("resolves the translated texts", () => {
+    const content = JSON.stringify({
+      globalAttributes: [
+        { name: "data-gap", description: { fr: "gouttière", en: "gutter" } },
+      ],
+      layouts: [
+        {
+          name: "duo",
+          label: "Duo",
+          usage: { fr: "Deux colonnes", en: "Two columns" },
+          attributes: [{ name: "data-split", description: { fr: "rapport" } }],
+        },
+      ],
+    });
+    const en = parseLayouts(content, "en-us");
+    assert.strictEqual(en.layouts[0].usage, "Two columns");
+    assert.strictEqual(en.rootGlobalAttributes?.[0].description, "gutter");
+    // French fallback
+    const attributes = en.layouts[0].attributes as GlobalAttribute[];
+    assert.strictEqual(attributes[0].description, "rapport");
+    assert.strictEqual(
+      parseLayouts(content, "de").layouts[0].usage,
+      "Deux colonnes"
+    );
+  });
+});
+
+describe("localize", () => {
+  it("keeps the plain strings", () => {
+    assert.strictEqual(localize("Stack", "en"), "Stack");
+    assert.strictEqual(localize(undefined, "en"), undefined);
+  });
+
+  it("picks the language, then its base language, then French", () => {
+    const texts = { fr: "Empilement", en: "Stack", "pt-br": "Pilha" };
+    assert.strictEqual(localize(texts, "pt-BR"), "Pilha");
+    assert.strictEqual(localize(texts, "en-gb"), "Stack");
+    assert.strictEqual(localize(texts, "ja"), "Empilement");
+    assert.strictEqual(localize({ en: "Stack" }, "ja"), "Stack");
+  });
+});
+
+describe("getEffectiveGlobals", () => {
+  it("applies the layout defaults to the root global attributes", () => {
+    const globals = getEffectiveGlobals(duo, rootGlobalAttributes);
+    assert.deepStrictEqual([...globals.keys()], ["data-gap", "data-align"]);
+    assert.deepStrictEqual(globals.get("data-gap"), {
+      name: "data-gap",
+      value: "xs|s|m|l|xl|none",
+      description: "gutter",
+      default: "m",
+    });
+    assert.strictEqual(globals.get("data-align").default, undefined);
+  });
+
+  it("doesn't modify the root global attributes", () => {
+    getEffectiveGlobals(duo, rootGlobalAttributes);
+    assert.strictEqual(
+      (rootGlobalAttributes[0] as { default?: string }).default,
+      undefined
+    );
+  });
+
+  it("merges the legacy per-layout global attributes", () => {
+    const legacy: LayoutEntry = {
+      name: "legacy",
+      label: "Legacy",
+      globalAttributes: [
+        { name: "data-gap", value: "s|m" },
+        { name: "data-wrap", value: "nowrap" },
+      ],
+    };
+    const globals = getEffectiveGlobals(legacy, rootGlobalAttributes);
+    assert.strictEqual(globals.get("data-gap").value, "s|m");
+    assert.strictEqual(globals.get("data-gap").description, "gutter");
+    assert.strictEqual(globals.get("data-wrap").value, "nowrap");
+  });
+
+  it("works without root global attributes", () => {
+    const globals = getEffectiveGlobals(duo);
+    assert.deepStrictEqual(
+      [...globals.values()],
+      [{ name: "data-gap", default: "m" }]
+    );
+  });
+});
+
+describe("getLayoutAttributes", () => {
+  it("lists the specific attributes, then the globals with their default", () => {
+    const attributes = getLayoutAttributes(duo, rootGlobalAttributes);
+    assert.deepStrictEqual(
+      attributes.map((a) => [a.name, a.default]),
+      [
+        ["data-split", undefined],
+        ["data-gap", "m"],
+        ["data-align", undefined],
+      ]
+    );
+  });
+});
+
+describe("findAttributeDefinition", () => {
+  const stack: LayoutEntry = { name: "stack", label: "Stack" };
+
+  it("prefers the definition of the active layout", () => {
+    const definition = findAttributeDefinition(
+      "data-gap",
+      [stack, duo],
+      rootGlobalAttributes,
+      duo
+    );
+    assert.strictEqual(definition?.default, "m");
+  });
+
+  it("falls back to the globals, then to any layout", () => {
+    assert.strictEqual(
+      findAttributeDefinition("data-gap", [duo], rootGlobalAttributes, stack)
+        ?.default,
+      undefined
+    );
+    assert.strictEqual(
+      findAttributeDefinition("data-split", [stack, duo], rootGlobalAttributes)
+        ?.value,
+      "1-1|2-1|1-2"
+    );
+    assert.strictEqual(
+      findAttributeDefinition("data-unknown", [duo], rootGlobalAttributes),
+      undefined
+    );
+  });
+});
+
+describe("mergeLayouts", () => {
+  it("overrides the entries sharing a name and appends the others", () => {
+    const merged = mergeLayouts(
+      { layouts: [duo], rootGlobalAttributes },
+      {
+        layouts: [
+          { name: "duo", label: "Two columns" },
+          { name: "sidebar", label: "Sidebar" },
+        ],
+        rootGlobalAttributes: [{ name: "data-gap", value: "s|m" }],
+      }
+    );
+    assert.deepStrictEqual(
+      merged.layouts.map((l) => [l.name, l.label]),
+      [
+        ["duo", "Two columns"],
+        ["sidebar", "Sidebar"],
+      ]
+    );
+    // fields missing from the project entry are kept
+    assert.deepStrictEqual(merged.layouts[0].attributes, duo.attributes);
+    assert.strictEqual(merged.rootGlobalAttributes?.[0].value, "s|m");
+    assert.strictEqual(merged.rootGlobalAttributes?.[0].description, "gutter");
+  });
+});
@@ -0,0 +1,58 @@
+import "./vscodeStub";
+import * as assert from "assert";
+import { describe, it } from "node:test";
+import { GlobalAttribute, LayoutEntry } from "../layouts";
+import { buildScaffold } from "../scaffold";
+
+const rootGlobalAttributes: GlobalAttribute[] = [
+  { name: "data-gap", value: "xs|s|m|l|xl|none" },
+  { name: "data-scrollbar", value: "hidden" },
+];
+
+const duo: LayoutEntry = {
+  name: "duo",
+  label: "Duo",
+  attributes: [
+    {
+      name: "data-split",
+      value: "1-1|2-1|1-2|reverse",
+      modifiers: "reverse",
+    },
+  ],
+  globalAttributeDefaults: [{ name: "data-gap", default: "m" }],
+  children: ["main", "aside"],
+};
+
+describe("buildScaffold", () => {
+  it("offers the values of every enumerated attribute as choices", () => {
+    assert.strictEqual(
+      buildScaffold(duo, rootGlobalAttributes, "html"),
+      [
+        '<div data-layout="duo" data-split="${1|1-1,2-1,1-2|}" ${2:data-gap="${3|m,xs,s,l,xl,none|}"}>',
+        "\t<main>$4</main>",
+        "\t<aside>$5</aside>",
+        "</div>$0",
+      ].join("\n")
+    );
+  });
+
+  it("lists the values of an attribute without default in order", () => {
+    const boxed: LayoutEntry = { name: "boxed", label: "Boxed" };
+    assert.match(
+      buildScaffold(boxed, rootGlobalAttributes, "html"),
+      /^<div data-layout="boxed" data-gap="\$\{1\|xs,s,m,l,xl,none\|\}">/
+    );
+  });
+
+  it("uses the Pug syntax in Pug documents", () => {
+    assert.strictEqual(
+      buildScaffold(duo, rootGlobalAttributes, "pug"),
+      [
+        'div(data-layout="duo" data-split="${1|1-1,2-1,1-2|}" ${2:data-gap="${3|m,xs,s,l,xl,none|}"})',
+        "\tmain $4",
+        "\taside $5",
+        "$0",
+      ].join("\n")
+    );
+  });
+});
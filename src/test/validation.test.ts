@@ -0,0 +1,132 @@
+import * as assert from "assert";
+import { describe, it } from "node:test";
+import { GlobalAttribute, LayoutEntry } from "../layouts";
+import { LayoutProblem, validateLayouts } from "../validation";
+
+const rootGlobalAttributes: GlobalAttribute[] = [
+  { name: "data-gap", value: "xs|s|m|l|xl|none" },
+  {
+    name: "data-justify",
+    value: "start|end|center|between",
+    deprecatedValues: [{ value: "space", replacedBy: "between" }],
+  },
+];
+
+const layouts: LayoutEntry[] = [
+  {
+    name: "stack",
+    label: "Stack",
+    globalAttributeDefaults: [{ name: "data-gap", default: "s" }],
+  },
+  {
+    name: "duo",
+    label: "Duo",
+    attributes: [
+      {
+        name: "data-split",
+        value: "1-1|2-1|1-2|reverse",
+        modifiers: "reverse",
+      },
+    ],
+  },
+  {
+    name: "carousel",
+    label: "Carousel",
+    deprecated: "Use reel.",
+    replacedBy: "reel",
+  },
+  { name: "reel", label: "Reel" },
+];
+
+const validate = (text: string, languageId = "html") =>
+  validateLayouts(text, languageId, layouts, rootGlobalAttributes);
+// code and faulty text of each problem
+const summarize = (text: string, problems: LayoutProblem[]) =>
+  problems.map((p) => [p.code, text.slice(p.start, p.end)]);
+
+describe("validateLayouts", () => {
+  it("accepts valid markup", () => {
+    assert.deepStrictEqual(
+      validate(
+        '<div data-layout="duo" data-split="2-1 reverse" data-gap="m"></div>'
+      ),
+      []
+    );
+  });
+
+  it("reports an unknown layout", () => {
+    const text = '<div data-layout="grid"></div>';
+    const problems = validate(text);
+    assert.deepStrictEqual(summarize(text, problems), [
+      ["unknown-layout", "grid"],
+    ]);
+    assert.strictEqual(problems[0].severity, "warning");
+  });
+
+  it("reports the invalid values, token by token", () => {
+    const text =
+      '<div data-layout="duo" data-gap="xxl" data-split="2-1 1-2 reverse reverse"></div>';
+    assert.deepStrictEqual(summarize(text, validate(text)), [
+      ["invalid-value", "xxl"],
+      ["invalid-value", "1-2"],
+      ["invalid-value", "reverse"],
+    ]);
+  });
+
+  it("reports a layout-specific attribute on another layout", () => {
+    const text = '<div data-layout="stack" data-split="2-1"></div>';
+    const problems = validate(text);
+    assert.deepStrictEqual(summarize(text, problems), [
+      ["misplaced-attribute", "data-split"],
+    ]);
+    assert.match(problems[0].message, /duo/);
+  });
+
+  it("hints at an attribute restating the layout default", () => {
+    const text = '<div data-layout="stack" data-gap="s"></div>';
+    const problems = validate(text);
+    assert.deepStrictEqual(summarize(text, problems), [
+      ["redundant-default", 'data-gap="s"'],
+    ]);
+    assert.strictEqual(problems[0].severity, "hint");
+  });
+
+  it("hints at the deprecated layouts and values", () => {
+    const text =
+      '<div data-layout="carousel"></div><div data-layout="stack" data-justify="space"></div>';
+    const problems = validate(text);
+    assert.deepStrictEqual(summarize(text, problems), [
+      ["deprecated", "carousel"],
+      ["deprecated", "space"],
+    ]);
+    assert.ok(problems.every((p) => p.severity === "hint"));
+  });
+
+  it("skips the dynamic values", () => {
+    assert.deepStrictEqual(
+      validate(
+        "<div data-layout={variant} data-gap={gap}></div>",
+        "javascriptreact"
+      ),
+      []
+    );
+    assert.deepStrictEqual(
+      validate(
+        '<template><div :data-layout="layout" data-gap="m"></div><div data-layout="duo" :data-split="split"></div></template>',
+        "vue"
+      ),
+      []
+    );
+    assert.deepStrictEqual(
+      validate(
+        '<div data-layout="{{ layout }}"></div><div data-layout="duo" data-split="{{ split }}"></div>',
+        "twig"
+      ),
+      []
+    );
+  });
+
+  it("ignores the documents without data-layout", () => {
+    assert.deepStrictEqual(validate('<div data-split="nope"></div>'), []);
+  });
+});
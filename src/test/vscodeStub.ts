@@ -0,0 +1,96 @@
+import Module = require("module");
+
+// Minimal stand-in for the vscode API, enough for the modules building
+// completion items to run under node:test. Importing this file first makes
+// `import * as vscode from "vscode"` resolve to it.
+
+export class Position {
+  constructor(public line: number, public character: number) {}
+}
+
+export class Range {
+  start: Position;
+  end: Position;
+  constructor(
+    startLine: number,
+    startCharacter: number,
+    endLine: number,
+    endCharacter: number
+  ) {
+    this.start = new Position(startLine, startCharacter);
+    this.end = new Position(endLine, endCharacter);
+  }
+}
+
+export enum CompletionItemKind {
+  Property = 9,
+  Variable = 5,
+  EnumMember = 19,
+  Snippet = 14,
+}
+
+export enum CompletionItemTag {
+  Deprecated = 1,
+}
+
+export class CompletionItem {
+  [key: string]: unknown;
+  constructor(public label: unknown, public kind?: CompletionItemKind) {}
+}
+
+export class SnippetString {
+  constructor(public value = "") {}
+}
+
+export class MarkdownString {
+  constructor(public value = "") {}
+  appendMarkdown(value: string) {
+    this.value += value;
+    return this;
+  }
+  appendCodeblock(code: string, language = "") {
+    this.value += `\n\`\`\`${language}\n${code}\n\`\`\`\n`;
+    return this;
+  }
+}
+
+export class EventEmitter<T> {
+  private listeners: Array<(e: T) => void> = [];
+  event = (listener: (e: T) => void) => {
+    this.listeners.push(listener);
+    return { dispose: () => undefined };
+  };
+  fire(e: T) {
+    this.listeners.forEach((listener) => listener(e));
+  }
+  dispose() {
+    this.listeners = [];
+  }
+}
+
+export const l10n = {
+  t: (message: string, ...args: unknown[]) =>
+    message.replace(/\{(\d+)\}/g, (match, index) =>
+      index < args.length ? String(args[index]) : match
+    ),
+};
+
+// every setting has its default value
+export const workspace = {
+  getConfiguration: () => ({
+    get: <T>(_name: string, fallback: T) => fallback,
+  }),
+  onDidChangeConfiguration: () => ({ dispose: () => undefined }),
+};
+
+const resolve = (
+  Module as unknown as {
+    _resolveFilename: (request: string, ...rest: unknown[]) => string;
+  }
+)._resolveFilename;
+(
+  Module as unknown as {
+    _resolveFilename: (request: string, ...rest: unknown[]) => string;
+  }
+)._resolveFilename = (request, ...rest) =>
+  request === "vscode" ? __filename : resolve(request, ...rest);
@@ -0,0 +1,208 @@
+import { isDynamicValue, scanDocumentTags } from "./context";
+import { findDeprecatedUsages } from "./deprecations";
+import * as l10n from "./l10n";
+import {
+  AttributeDefinition,
+  findDeprecatedValue,
+  getLayoutAttributes,
+  GlobalAttribute,
+  LayoutEntry,
+  splitValues,
+} from "./layouts";
+
+// Validation rules of the Bretzel markup, shared by the editor diagnostics
+// and the bretzel-lint command line (no dependency on the vscode API).
+
+export type ProblemCode =
+  | "unknown-layout"
+  | "invalid-value"
+  | "misplaced-attribute"
+  | "redundant-default"
+  | "deprecated";
+
+// "warning": the markup is wrong, "hint": it works but can be improved
+export type ProblemSeverity = "warning" | "hint";
+
+export interface LayoutProblem {
+  code: ProblemCode;
+  severity: ProblemSeverity;
+  // offsets of the faulty text in the validated text
+  start: number;
+  end: number;
+  message: string;
+}
+
+/**
+ * Validate every tag carrying a static data-layout attribute:
+ * - unknown layout names,
+ * - attribute values outside their enumeration (eg data-gap="xxl"),
+ * - layout-specific attributes used on another layout (data-split on a stack),
+ * - attributes restating the layout default (data-gap="s" on a stack),
+ * - deprecated layouts, attributes and values.
+ */
+export function validateLayouts(
+  text: string,
+  languageId: string,
+  layouts: LayoutEntry[],
+  rootGlobalAttributes?: GlobalAttribute[]
+): LayoutProblem[] {
+  // fast path: most documents don't use Bretzel at all
+  if (!text.includes("data-layout")) return [];
+
+  // names of the attributes reserved to one or more layouts (eg data-split)
+  const specificOwners = new Map<string, string[]>();
+  for (const l of layouts) {
+    if (!Array.isArray(l.attributes)) continue;
+    for (const a of l.attributes) {
+      if (!a || !a.name) continue;
+      specificOwners.set(a.name, [
+        ...(specificOwners.get(a.name) || []),
+        l.name,
+      ]);
+    }
+  }
+
+  const problems: LayoutProblem[] = [];
+  const add = (
+    start: number,
+    length: number,
+    message: string,
+    severity: ProblemSeverity,
+    code: ProblemCode
+  ) => {
+    problems.push({ code, severity, start, end: start + length, message });
+  };
+
+  for (const { attributes } of scanDocumentTags(text, languageId)) {
+    const layoutAttr = attributes.find((a) => a.name === "data-layout");
+    if (
+      !layoutAttr ||
+      layoutAttr.value === undefined ||
+      layoutAttr.valueStart === undefined ||
+      layoutAttr.dynamic ||
+      isDynamicValue(layoutAttr.value)
+    ) {
+      continue;
+    }
+    const layoutName = layoutAttr.value.trim();
+    const layout = layouts.find((l) => l.name === layoutName);
+    if (!layout) {
+      add(
+        layoutAttr.valueStart,
+        layoutAttr.value.length,
+        l10n.t('Unknown Bretzel layout: "{0}".', layoutName),
+        "warning",
+        "unknown-layout"
+      );
+    }
+    const available: AttributeDefinition[] = layout
+      ? getLayoutAttributes(layout, rootGlobalAttributes)
+      : (rootGlobalAttributes || []).map((a) => ({ ...a }));
+
+    for (const attr of attributes) {
+      if (attr.name === "data-layout") continue;
+      const definition = available.find((a) => a.name === attr.name);
+      if (!definition) {
+        const owners = specificOwners.get(attr.name);
+        if (layout && owners) {
+          add(
+            attr.nameStart,
+            attr.rawName.length,
+            l10n.t(
+              "{0} is not supported by the layout {1} (reserved for: {2}).",
+              attr.name,
+              layout.name,
+              owners.join(", ")
+            ),
+            "warning",
+            "misplaced-attribute"
+          );
+        }
+        continue;
+      }
+      if (
+        attr.value === undefined ||
+        attr.valueStart === undefined ||
+        attr.dynamic ||
+        isDynamicValue(attr.value)
+      ) {
+        continue;
+      }
+      const values = splitValues(definition.value);
+      if (values.length === 0) continue;
+      // values may combine several tokens: a single exclusive value and its
+      // modifiers (eg data-split="2-1 reverse")
+      const modifiers = splitValues(definition.modifiers);
+      const seen: string[] = [];
+      let exclusive: string | undefined;
+      const tokenRe = /\S+/g;
+      let token: RegExpExecArray | null;
+      while ((token = tokenRe.exec(attr.value))) {
+        const value = token[0];
+        const start = attr.valueStart + token.index;
+        const report = (message: string) =>
+          add(start, value.length, message, "warning", "invalid-value");
+        if (
+          !values.includes(value) &&
+          !findDeprecatedValue(definition, value)
+        ) {
+          report(
+            l10n.t(
+              'Invalid value "{0}" for {1} (possible values: {2}).',
+              value,
+              attr.name,
+              values.join(", ")
+            )
+          );
+        } else if (seen.includes(value)) {
+          report(l10n.t('Duplicate value "{0}" for {1}.', value, attr.name));
+        } else if (!modifiers.includes(value) && exclusive !== undefined) {
+          report(
+            l10n.t(
+              '{0} takes a single value: "{1}" conflicts with "{2}".',
+              attr.name,
+              value,
+              exclusive
+            )
+          );
+        } else if (!modifiers.includes(value)) {
+          exclusive = value;
+        }
+        seen.push(value);
+      }
+      if (
+        layout &&
+        definition.default &&
+        attr.value.trim() === definition.default
+      ) {
+        add(
+          attr.nameStart,
+          attr.end - attr.nameStart,
+          l10n.t(
+            '{0}="{1}" is the default value of the layout {2}.',
+            attr.name,
+            definition.default,
+            layout.name
+          ),
+          "hint",
+          "redundant-default"
+        );
+      }
+    }
+
+    for (const deprecated of findDeprecatedUsages(
+      attributes,
+      layouts,
+      rootGlobalAttributes
+    )) {
+      add(
+        deprecated.start,
+        deprecated.end - deprecated.start,
+        deprecated.message,
+        "hint",
+        "deprecated"
+      );
+    }
+  }
+  return problems;
+}
@@ -0,0 +1,187 @@
+import * as vscode from "vscode";
+import * as fs from "fs";
+import * as path from "path";
+import { buildLayoutsFromCss } from "./cssLayouts";
+import * as l10n from "./l10n";
+import { LayoutsData, mergeLayouts, parseLayouts } from "./layouts";
+import * as logger from "./logger";
+
+// default location of the project layouts file, relative to each workspace folder
+const DEFAULT_LAYOUTS_FILE = ".bretzel/layouts.json";
+// maximum number of stylesheets read when `bretzel.cssFiles` is set
+const MAX_STYLESHEETS = 200;
+
+/**
+ * Merge the project layouts file(s) (setting `bretzel.layoutsFile`, same
+ * `{ globalAttributes, layouts }` schema as data/layouts.json) into `data`,
+ * then, when `bretzel.cssFiles` is set, rebuild the layouts from the project
+ * Bretzel stylesheets with the JSON as metadata. Everything is reloaded in
+ * place whenever one of these files is created, changed or deleted;
+ * `onDidReload` is called after each reload.
+ */
+export function watchWorkspaceLayouts(
+  context: vscode.ExtensionContext,
+  data: LayoutsData,
+  onDidReload: () => void
+) {
+  // snapshot of the bundled layouts: the base of every merge
+  const bundled: LayoutsData = { ...data };
+  let watchers: vscode.FileSystemWatcher[] = [];
+  // incremented on each reload so a slower, outdated reload is discarded
+  let generation = 0;
+
+  const reload = async () => {
+    const current = ++generation;
+    try {
+      let merged = bundled;
+      for (const file of getLayoutsFiles()) {
+        const extra = readLayoutsFile(file);
+        if (extra) {
+          merged = mergeLayouts(merged, extra);
+        }
+      }
+      const stylesheets = (await findProjectStylesheets()).map(
+        (s) => s.content
+      );
+      if (current !== generation) return;
+      const fromCss = stylesheets.length
+        ? buildLayoutsFromCss(stylesheets, merged)
+        : undefined;
+      if (fromCss) {
+        merged = fromCss;
+      }
+      data.layouts = merged.layouts;
+      data.rootGlobalAttributes = merged.rootGlobalAttributes;
+      onDidReload();
+    } catch (e) {
+      logger.error("reload of the project layouts failed", e);
+    }
+  };
+
+  const watch = () => {
+    watchers.forEach((w) => w.dispose());
+    const patterns: vscode.GlobPattern[] = getLayoutsFiles().map(
+      (file) =>
+        new vscode.RelativePattern(
+          vscode.Uri.file(path.dirname(file)),
+          path.basename(file)
+        )
+    );
+    const cssFiles = getCssFiles();
+    if (cssFiles) {
+      patterns.push(cssFiles);
+    }
+    watchers = patterns.map((pattern) => {
+      const watcher = vscode.workspace.createFileSystemWatcher(pattern);
+      watcher.onDidCreate(reload);
+      watcher.onDidChange(reload);
+      watcher.onDidDelete(reload);
+      return watcher;
+    });
+  };
+
+  watch();
+  reload();
+
+  context.subscriptions.push(
+    vscode.workspace.onDidChangeConfiguration((e) => {
+      if (
+        !e.affectsConfiguration("bretzel.layoutsFile") &&
+        !e.affectsConfiguration("bretzel.cssFiles")
+      ) {
+        return;
+      }
+      watch();
+      reload();
+    }),
+    vscode.workspace.onDidChangeWorkspaceFolders(() => {
+      watch();
+      reload();
+    }),
+    { dispose: () => watchers.forEach((w) => w.dispose()) }
+  );
+}
+
+/**
+ * Resolve the project layouts file of every workspace folder (absolute
+ * paths are used as is).
+ */
+function getLayoutsFiles(): string[] {
+  const files: string[] = [];
+  for (const folder of vscode.workspace.workspaceFolders || []) {
+    const setting = vscode.workspace
+      .getConfiguration("bretzel", folder.uri)
+      .get<string>("layoutsFile", DEFAULT_LAYOUTS_FILE)
+      .trim();
+    if (!setting) continue;
+    const file = path.isAbsolute(setting)
+      ? setting
+      : path.join(folder.uri.fsPath, setting);
+    if (!files.includes(file)) {
+      files.push(file);
+    }
+  }
+  return files;
+}
+
+/**
+ * Read a project layouts file; a missing file is silently ignored, an
+ * invalid one is reported to the user.
+ */
+function readLayoutsFile(file: string): LayoutsData | undefined {
+  if (!fs.existsSync(file)) return undefined;
+  try {
+    return parseLayouts(
+      fs.readFileSync(file, { encoding: "utf8" }),
+      vscode.env.language
+    );
+  } catch (e) {
+    logger.error(`Unable to load ${file}`, e);
+    vscode.window.showWarningMessage(
+      l10n.t(
+        "Bretzel: unable to load {0} ({1}).",
+        file,
+        e instanceof Error ? e.message : String(e)
+      )
+    );
+    return undefined;
+  }
+}
+
+/**
+ * Glob pattern of the project Bretzel stylesheets (setting
+ * `bretzel.cssFiles`), empty when the layouts come from JSON only.
+ */
+function getCssFiles(): string {
+  return vscode.workspace
+    .getConfiguration("bretzel")
+    .get<string>("cssFiles", "")
+    .trim();
+}
+
+/**
+ * Find the project stylesheets matching `bretzel.cssFiles` which use
+ * data-layout selectors (sorted by path).
+ */
+export async function findProjectStylesheets(): Promise<
+  Array<{ uri: vscode.Uri; content: string }>
+> {
+  const glob = getCssFiles();
+  if (!glob) return [];
+  const uris = await vscode.workspace.findFiles(
+    glob,
+    undefined,
+    MAX_STYLESHEETS
+  );
+  uris.sort((a, b) => a.path.localeCompare(b.path));
+  const stylesheets: Array<{ uri: vscode.Uri; content: string }> = [];
+  for (const uri of uris) {
+    const content = Buffer.from(
+      await vscode.workspace.fs.readFile(uri)
+    ).toString("utf8");
+    if (content.includes("data-layout")) {
+      stylesheets.push({ uri, content });
+    }
+  }
+  return stylesheets;
+}